@@ -1,9 +1,11 @@
-module Render.Export.Image exposing (export, exportBlock)
+module Render.Export.Image exposing (export, exportBlock, imageUrls)
 
 import Dict
 import Either exposing (Either(..))
 import Generic.ASTTools
-import V3.Types exposing (Expression, ExpressionBlock)
+import Library.Tree
+import RoseTree.Tree exposing (Tree)
+import V3.Types exposing (Expr(..), Expression, ExpressionBlock, Heading(..))
 import List.Extra
 import Render.Export.Util
 import Render.Settings exposing (RenderSettings)
@@ -27,6 +29,48 @@ exportBlock settings block =
     exportCenteredFigure params.url widthOption params.caption
 
 
+{-| The URLs of all images in a document, from `| image` blocks and
+`[image ...]` elements, in document order without duplicates. The PDF
+server downloads these before compiling the exported LaTeX.
+-}
+imageUrls : RenderSettings -> List (Tree ExpressionBlock) -> List String
+imageUrls settings forest =
+    forest
+        |> List.concatMap Library.Tree.flatten
+        |> List.concatMap (blockImageUrls settings)
+        |> List.filter (\url -> url /= "no-image" && url /= "bad block")
+        |> List.Extra.unique
+
+
+blockImageUrls : RenderSettings -> ExpressionBlock -> List String
+blockImageUrls settings block =
+    case ( block.heading, block.body ) of
+        ( Verbatim "image", _ ) ->
+            [ (imageParametersForBlock settings block).url ]
+
+        ( _, Right exprs ) ->
+            List.concatMap (exprImageUrls settings) exprs
+
+        ( _, Left _ ) ->
+            []
+
+
+exprImageUrls : RenderSettings -> Expression -> List String
+exprImageUrls settings expr =
+    case expr of
+        Fun "image" args _ ->
+            [ (imageParameters settings args).url ]
+
+        Fun _ args _ ->
+            List.concatMap (exprImageUrls settings) args
+
+        ExprList _ exprs _ ->
+            List.concatMap (exprImageUrls settings) exprs
+
+        _ ->
+            []
+
+
 fixWidth : String -> String
 fixWidth w =
     if w == "" || w == "fill" then
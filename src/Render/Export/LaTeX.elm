@@ -1,11 +1,11 @@
 module Render.Export.LaTeX exposing
-    ( export, exportExpr, rawExport
-    , getPublicationData
+    ( export, exportFor, exportExpr, rawExport
+    , getPublicationData, packageNames
     )
 
 {-|
 
-@docs export, exportExpr, rawExport
+@docs export, exportFor, exportExpr, rawExport
 
 -}
 
@@ -104,9 +104,18 @@ getPublicationData pdData ast =
     )
 
 
-{-| -}
+{-| A standalone LaTeX document for pdfLaTeX; see `exportFor`.
+-}
 export : Render.Types.PublicationData -> RenderSettings -> List (Tree ExpressionBlock) -> String
-export publicationData settings_ ast =
+export =
+    exportFor Render.Types.PdfLaTeX
+
+
+{-| A standalone LaTeX document whose preamble is set up for the given TeX
+engine.
+-}
+exportFor : Render.Types.TeXEngine -> Render.Types.PublicationData -> RenderSettings -> List (Tree ExpressionBlock) -> String
+exportFor engine publicationData settings_ ast =
     let
         titleData : Maybe ExpressionBlock
         titleData =
@@ -150,19 +159,11 @@ export publicationData settings_ ast =
 
         rawBlockNames =
             ASTTools.rawBlockNames ast
-
-        expressionNames =
-            ASTTools.expressionNames ast ++ macrosInTextMacroDefinitions
-
-        textMacroDefinitions =
-            ASTTools.getVerbatimBlockValue "textmacros" ast
-
-        macrosInTextMacroDefinitions =
-            Generic.TextMacro.getTextMacroFunctionNames textMacroDefinitions
     in
-    Render.Export.Preamble.make publicationData
+    Render.Export.Preamble.makeFor engine
+        publicationData
         rawBlockNames
-        expressionNames
+        (expressionNames ast)
         ++ frontMatter publicationData ast
         ++ setTheFirstSection
         ++ tableofcontents properties rawBlockNames
@@ -173,6 +174,28 @@ export publicationData settings_ ast =
         ++ "\n\n\\end{document}\n"
 
 
+{-| Names of the elements used in a document, including those used inside
+text macro definitions. Together with the block names, these decide which
+packages the preamble loads.
+-}
+expressionNames : List (Tree ExpressionBlock) -> List String
+expressionNames ast =
+    let
+        textMacroDefinitions =
+            ASTTools.getVerbatimBlockValue "textmacros" ast
+    in
+    ASTTools.expressionNames ast ++ Generic.TextMacro.getTextMacroFunctionNames textMacroDefinitions
+
+
+{-| The packages the preamble of `export` loads beyond the standard set,
+e.g. `tikz-cd` for a quiver block. The PDF server makes sure these are
+available before compiling.
+-}
+packageNames : List (Tree ExpressionBlock) -> List String
+packageNames ast =
+    Render.Export.Preamble.packagesNeeded (ASTTools.rawBlockNames ast ++ expressionNames ast)
+
+
 frontMatter : Render.Types.PublicationData -> List (Tree ExpressionBlock) -> String
 frontMatter publicationData ast =
     let
@@ -1,9 +1,9 @@
-module Render.Export.Preamble exposing (Publication, make, supportingCode)
+module Render.Export.Preamble exposing (Publication, make, makeFor, packagesNeeded, supportingCode)
 
 -- PREAMBLE
 
 import List.Extra
-import Render.Types
+import Render.Types exposing (TeXEngine(..))
 
 
 type alias Publication =
@@ -18,21 +18,31 @@ type alias Publication =
 -- make : Publication -> List String -> List String -> String
 
 
+{-| The pdfLaTeX preamble; see `makeFor`.
+-}
 make : Render.Types.PublicationData -> List String -> List String -> String
-make publicationData =
+make =
+    makeFor PdfLaTeX
+
+
+{-| The preamble of a document with the given block and expression names,
+for the given engine. Only the font setup differs between engines.
+-}
+makeFor : TeXEngine -> Render.Types.PublicationData -> List String -> List String -> String
+makeFor engine publicationData =
     case publicationData.kind of
         Render.Types.DKBook ->
-            makeBook
+            makeBook engine
 
         _ ->
-            makeArticle
+            makeArticle engine
 
 
 
--- makeBook : List String -> List String -> String
+-- makeBook : TeXEngine -> List String -> List String -> String
 
 
-makeBook blockNames_ expressionNames_ =
+makeBook engine blockNames_ expressionNames_ =
     let
         names =
             blockNames_ ++ expressionNames_
@@ -43,14 +53,14 @@ makeBook blockNames_ expressionNames_ =
     [ "\\documentclass[11pt, oneside]{book}"
     , newPackageText packagesUsed
     , supportingCode packagesUsed
-    , standardPackages
+    , standardPackages engine
     , commands
     ]
         |> String.join "\n"
 
 
-makeArticle : List String -> List String -> String
-makeArticle blockNames_ expressionNames_ =
+makeArticle : TeXEngine -> List String -> List String -> String
+makeArticle engine blockNames_ expressionNames_ =
     let
         names =
             blockNames_ ++ expressionNames_
@@ -61,7 +71,7 @@ makeArticle blockNames_ expressionNames_ =
     [ "\\documentclass[11pt, oneside]{article}"
     , newPackageText packagesUsed
     , supportingCode packagesUsed
-    , standardPackages
+    , standardPackages engine
     , commands
     ]
         |> String.join "\n"
@@ -114,6 +124,9 @@ hypersetup =
 """
 
 
+{-| The packages, beyond the standard set, that the preamble loads for a
+document using the given block and expression names.
+-}
 packagesNeeded : List String -> List String
 packagesNeeded names =
     names
@@ -173,7 +186,14 @@ addCode packagesInDocument package codeText accumulatedCodeText =
 --    [ newPackages entityNames, standardPackages ] |> String.join "\n"
 
 
-standardPackages =
+{-| The packages every document loads. Only the fonts differ between
+engines: pdfLaTeX gets T1-encoded Latin Modern, before hyperref as always.
+XeLaTeX and LuaLaTeX read UTF-8 themselves and must not load fontenc;
+fontspec selects (Unicode) fonts there, and unicode-math, which has to come
+after amsmath and amssymb, the math font.
+-}
+standardPackages : TeXEngine -> String
+standardPackages engine =
     """
 %% Packages
 
@@ -187,9 +207,9 @@ standardPackages =
 \\usepackage{graphicx}    % for \\includegraphics
 
 %% Index, hyperref
-\\usepackage[T1]{fontenc}
-\\usepackage{lmodern}
-
+"""
+        ++ fontPackages engine
+        ++ """
 \\usepackage{hyperref}   % load before imakeidx
 \\usepackage{imakeidx}
 
@@ -210,8 +230,32 @@ standardPackages =
 
 %% Chemistry
 \\usepackage[version=4]{mhchem} % for \\ce
-
 """
+        ++ mathFontPackages engine
+        ++ "\n"
+
+
+fontPackages : TeXEngine -> String
+fontPackages engine =
+    case engine of
+        PdfLaTeX ->
+            "\\usepackage[T1]{fontenc}\n\\usepackage{lmodern}\n"
+
+        XeLaTeX ->
+            "\\usepackage{fontspec}   % fonts (xelatex)\n"
+
+        LuaLaTeX ->
+            "\\usepackage{fontspec}   % fonts (lualatex)\n"
+
+
+mathFontPackages : TeXEngine -> String
+mathFontPackages engine =
+    case engine of
+        PdfLaTeX ->
+            ""
+
+        _ ->
+            "\n%% Math font\n\\usepackage{unicode-math}\n"
 
 
 commands =
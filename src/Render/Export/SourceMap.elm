@@ -0,0 +1,129 @@
+module Render.Export.SourceMap exposing (Entry, fromLaTeX, encode, version)
+
+{-| Map lines of exported LaTeX back to the Scripta blocks they came from.
+
+The exporter prefixes each block's output with a `%%% Line N` comment
+(`Render.Export.LaTeX.annotateWithLineNumber`). `fromLaTeX` reads those
+annotations from the finished LaTeX and pairs each with its block, so that
+tools can attribute a TeX error on a given line to a source block without
+going through the PDF server.
+
+@docs Entry, fromLaTeX, encode, version
+
+-}
+
+import Dict
+import Generic.BlockUtilities
+import Json.Encode as Encode
+import Library.Tree
+import RoseTree.Tree exposing (Tree)
+import V3.Types exposing (ExpressionBlock)
+
+
+{-| One LaTeX line range (1-based, inclusive, not counting the annotation
+itself) and the block that produced it. Nested blocks split their parent's
+range, so each LaTeX line belongs to the innermost block.
+-}
+type alias Entry =
+    { latexBegin : Int
+    , latexEnd : Int
+    , blockId : String
+    , blockName : Maybe String
+    , scriptaBegin : Int
+    , scriptaEnd : Int
+    }
+
+
+{-| Version of the JSON format produced by `encode`.
+-}
+version : Int
+version =
+    1
+
+
+{-| Source map for `latex`, the output of exporting `forest`. Annotations
+whose line number matches no block are skipped.
+-}
+fromLaTeX : List (Tree ExpressionBlock) -> String -> List Entry
+fromLaTeX forest latex =
+    let
+        blocksByLine =
+            forest
+                |> List.concatMap Library.Tree.flatten
+                |> List.map (\block -> ( block.meta.lineNumber, block ))
+                |> Dict.fromList
+
+        latexLines =
+            String.lines latex
+
+        -- The last block's range stops before \end{document}
+        lastLine =
+            latexLines
+                |> List.indexedMap Tuple.pair
+                |> List.filter (\( _, line ) -> String.trim line == "\\end{document}")
+                |> List.head
+                |> Maybe.map Tuple.first
+                |> Maybe.withDefault (List.length latexLines)
+
+        annotations : List ( Int, Int )
+        annotations =
+            latexLines
+                |> List.indexedMap (\i line -> annotation line |> Maybe.map (Tuple.pair (i + 1)))
+                |> List.filterMap identity
+
+        ends =
+            List.map (\( latexLine, _ ) -> latexLine - 1) (List.drop 1 annotations) ++ [ lastLine ]
+    in
+    List.map2 Tuple.pair annotations ends
+        |> List.filterMap
+            (\( ( latexLine, scriptaLine ), end ) ->
+                if end <= latexLine then
+                    Nothing
+
+                else
+                    Dict.get scriptaLine blocksByLine
+                        |> Maybe.map
+                            (\block ->
+                                { latexBegin = latexLine + 1
+                                , latexEnd = end
+                                , blockId = block.meta.id
+                                , blockName = Generic.BlockUtilities.getExpressionBlockName block
+                                , scriptaBegin = block.meta.lineNumber
+                                , scriptaEnd = block.meta.lineNumber + max 1 block.meta.numberOfLines - 1
+                                }
+                            )
+            )
+
+
+annotation : String -> Maybe Int
+annotation line =
+    if String.startsWith "%%% Line " line then
+        String.toInt (String.trim (String.dropLeft 9 line))
+
+    else
+        Nothing
+
+
+{-| `{ "version": 1, "lineCount": n, "mappings": [ ... ] }`, where `lineCount`
+is the number of lines in the LaTeX the map was made from, so consumers can
+tell whether a compiled file still lines up with it.
+-}
+encode : String -> List Entry -> Encode.Value
+encode latex entries =
+    Encode.object
+        [ ( "version", Encode.int version )
+        , ( "lineCount", Encode.int (List.length (String.lines latex)) )
+        , ( "mappings", Encode.list encodeEntry entries )
+        ]
+
+
+encodeEntry : Entry -> Encode.Value
+encodeEntry entry =
+    Encode.object
+        [ ( "latexBegin", Encode.int entry.latexBegin )
+        , ( "latexEnd", Encode.int entry.latexEnd )
+        , ( "blockId", Encode.string entry.blockId )
+        , ( "blockName", entry.blockName |> Maybe.map Encode.string |> Maybe.withDefault Encode.null )
+        , ( "scriptaBegin", Encode.int entry.scriptaBegin )
+        , ( "scriptaEnd", Encode.int entry.scriptaEnd )
+        ]
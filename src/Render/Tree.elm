@@ -1,4 +1,4 @@
-module Render.Tree exposing (renderForest)
+module Render.Tree exposing (renderForest, renderForestStrict)
 
 {-| Render a forest of ExpressionBlocks to HTML.
 -}
@@ -19,6 +19,15 @@ renderForest params acc forest =
     List.map (renderTreeLazy params acc) forest
 
 
+{-| Like renderForest, but without the Html.Lazy wrapper around each tree,
+so that the Html is built now rather than when the virtual DOM first diffs
+it. Outside a browser (e.g. in tools/benchmark) the lazy trees are never built.
+-}
+renderForestStrict : CompilerParameters -> Accumulator -> List (Tree ExpressionBlock) -> List (Html Msg)
+renderForestStrict params acc forest =
+    List.map (renderTreeWrapped params acc) forest
+
+
 renderTreeLazy : CompilerParameters -> Accumulator -> Tree ExpressionBlock -> Html Msg
 renderTreeLazy params acc tree =
     Html.Lazy.lazy3 renderTreeWrapped params acc tree
@@ -1,4 +1,4 @@
-module V3.Compiler exposing (compile, parse, render)
+module V3.Compiler exposing (compile, parse, render, renderStrict)
 
 {-| Parse source text its AST (and Accumulator),
 compile source text to HTML Msg
@@ -56,10 +56,27 @@ compile params lines =
 {-| Render parsed forest and accumulator to HTML output.
 -}
 render : CompilerParameters -> ( Accumulator, List (Tree ExpressionBlock) ) -> CompilerOutput Msg
-render params ( accumulator, forest ) =
+render =
+    renderWith Render.Tree.renderForest
+
+
+{-| Like render, but builds the body's Html now instead of leaving each tree
+to Html.Lazy (see Render.Tree.renderForestStrict). For timing the renderer.
+-}
+renderStrict : CompilerParameters -> ( Accumulator, List (Tree ExpressionBlock) ) -> CompilerOutput Msg
+renderStrict =
+    renderWith Render.Tree.renderForestStrict
+
+
+renderWith :
+    (CompilerParameters -> Accumulator -> List (Tree ExpressionBlock) -> List (Html Msg))
+    -> CompilerParameters
+    -> ( Accumulator, List (Tree ExpressionBlock) )
+    -> CompilerOutput Msg
+renderWith renderBody params ( accumulator, forest ) =
     let
         body =
-            Render.Tree.renderForest params accumulator forest
+            renderBody params accumulator forest
 
         toc =
             if params.showTOC then
@@ -0,0 +1,241 @@
+module V3.Encode exposing
+    ( version
+    , document, forest, accumulator
+    , expressionBlock, expression
+    )
+
+{-| JSON encoding of the parsed document, for tooling outside Elm.
+
+    { "version": 1
+    , "forest": [ { "block": ..., "children": [ ... ] } ]
+    , "accumulator": { "reference": ..., "footnotes": ..., ... }
+    }
+
+Blocks keep their `heading`, `args`, `properties`, `body` and full `meta`;
+expressions are tagged by constructor (`"type": "Text" | "Fun" | "VFun" | "ExprList"`).
+Bump `version` whenever the shape of the output changes.
+
+@docs version
+@docs document, forest, accumulator
+@docs expressionBlock, expression
+
+-}
+
+import Dict exposing (Dict)
+import Either exposing (Either(..))
+import Json.Encode as Encode exposing (Value)
+import RoseTree.Tree as Tree exposing (Tree)
+import V3.Types exposing (Accumulator, BlockMeta, Expr(..), ExprMeta, Expression, ExpressionBlock, Heading(..), TermLoc, TermLoc2)
+
+
+{-| Version of the JSON format produced by this module.
+-}
+version : Int
+version =
+    1
+
+
+{-| The forest and accumulator returned by `Parser.Forest.parseToForestWithAccumulator`,
+with the format version.
+-}
+document : Accumulator -> List (Tree ExpressionBlock) -> Value
+document acc forest_ =
+    Encode.object
+        [ ( "version", Encode.int version )
+        , ( "forest", forest forest_ )
+        , ( "accumulator", accumulator acc )
+        ]
+
+
+{-| Each tree is `{ "block": ..., "children": [ ... ] }`.
+-}
+forest : List (Tree ExpressionBlock) -> Value
+forest trees =
+    Encode.list tree trees
+
+
+tree : Tree ExpressionBlock -> Value
+tree t =
+    Encode.object
+        [ ( "block", expressionBlock (Tree.value t) )
+        , ( "children", Encode.list tree (Tree.children t) )
+        ]
+
+
+
+-- BLOCKS
+
+
+{-| -}
+expressionBlock : ExpressionBlock -> Value
+expressionBlock block =
+    Encode.object
+        [ ( "heading", heading block.heading )
+        , ( "indent", Encode.int block.indent )
+        , ( "args", Encode.list Encode.string block.args )
+        , ( "properties", Encode.dict identity Encode.string block.properties )
+        , ( "firstLine", Encode.string block.firstLine )
+        , ( "body", body block.body )
+        , ( "meta", blockMeta block.meta )
+        ]
+
+
+heading : Heading -> Value
+heading h =
+    case h of
+        Paragraph ->
+            Encode.object [ ( "kind", Encode.string "paragraph" ) ]
+
+        Ordinary name ->
+            Encode.object [ ( "kind", Encode.string "ordinary" ), ( "name", Encode.string name ) ]
+
+        Verbatim name ->
+            Encode.object [ ( "kind", Encode.string "verbatim" ), ( "name", Encode.string name ) ]
+
+
+{-| Verbatim blocks carry their text, the others their expressions.
+-}
+body : Either String (List Expression) -> Value
+body content =
+    case content of
+        Left text ->
+            Encode.object [ ( "kind", Encode.string "verbatim" ), ( "text", Encode.string text ) ]
+
+        Right expressions ->
+            Encode.object [ ( "kind", Encode.string "expressions" ), ( "expressions", Encode.list expression expressions ) ]
+
+
+blockMeta : BlockMeta -> Value
+blockMeta meta =
+    Encode.object
+        [ ( "id", Encode.string meta.id )
+        , ( "position", Encode.int meta.position )
+        , ( "lineNumber", Encode.int meta.lineNumber )
+        , ( "bodyLineNumber", Encode.int meta.bodyLineNumber )
+        , ( "numberOfLines", Encode.int meta.numberOfLines )
+        , ( "begin", Encode.int meta.begin )
+        , ( "end", Encode.int meta.end )
+        , ( "contentBegin", Encode.int meta.contentBegin )
+        , ( "contentEnd", Encode.int meta.contentEnd )
+        , ( "messages", Encode.list Encode.string meta.messages )
+        , ( "sourceText", Encode.string meta.sourceText )
+        , ( "error", maybe Encode.string meta.error )
+        ]
+
+
+
+-- EXPRESSIONS
+
+
+{-| -}
+expression : Expression -> Value
+expression expr =
+    case expr of
+        Text text meta ->
+            Encode.object
+                [ ( "type", Encode.string "Text" )
+                , ( "text", Encode.string text )
+                , ( "meta", exprMeta meta )
+                ]
+
+        Fun name args meta ->
+            Encode.object
+                [ ( "type", Encode.string "Fun" )
+                , ( "name", Encode.string name )
+                , ( "args", Encode.list expression args )
+                , ( "meta", exprMeta meta )
+                ]
+
+        VFun name text meta ->
+            Encode.object
+                [ ( "type", Encode.string "VFun" )
+                , ( "name", Encode.string name )
+                , ( "body", Encode.string text )
+                , ( "meta", exprMeta meta )
+                ]
+
+        ExprList indent items meta ->
+            Encode.object
+                [ ( "type", Encode.string "ExprList" )
+                , ( "indent", Encode.int indent )
+                , ( "items", Encode.list expression items )
+                , ( "meta", exprMeta meta )
+                ]
+
+
+exprMeta : ExprMeta -> Value
+exprMeta meta =
+    Encode.object
+        [ ( "begin", Encode.int meta.begin )
+        , ( "end", Encode.int meta.end )
+        , ( "index", Encode.int meta.index )
+        , ( "id", Encode.string meta.id )
+        ]
+
+
+
+-- ACCUMULATOR
+
+
+{-| The cross-document state: references, footnotes, terms, counters and
+bibliography, plus the key-value store and the names of the macros defined
+in the document. Macro bodies are not encoded.
+-}
+accumulator : Accumulator -> Value
+accumulator acc =
+    Encode.object
+        [ ( "reference", Encode.dict identity reference acc.reference )
+        , ( "footnotes", Encode.dict identity termLoc2 acc.footnotes )
+        , ( "footnoteNumbers", Encode.dict identity Encode.int acc.footnoteNumbers )
+        , ( "terms", Encode.dict identity termLoc acc.terms )
+        , ( "counter", Encode.dict identity Encode.int acc.counter )
+        , ( "blockCounter", Encode.int acc.blockCounter )
+        , ( "chapterCounter", Encode.int acc.chapterCounter )
+        , ( "headingIndex", Encode.list Encode.int acc.headingIndex.content )
+        , ( "bibliography", Encode.dict identity (maybe Encode.int) acc.bibliography )
+        , ( "keyValueDict", Encode.dict identity Encode.string acc.keyValueDict )
+        , ( "mathMacros", keys acc.mathMacroDict )
+        , ( "textMacros", keys acc.textMacroDict )
+        ]
+
+
+reference : { id : String, numRef : String } -> Value
+reference ref =
+    Encode.object
+        [ ( "id", Encode.string ref.id )
+        , ( "numRef", Encode.string ref.numRef )
+        ]
+
+
+termLoc : TermLoc -> Value
+termLoc loc =
+    Encode.object
+        [ ( "begin", Encode.int loc.begin )
+        , ( "end", Encode.int loc.end )
+        , ( "id", Encode.string loc.id )
+        , ( "displayAs", maybe Encode.string loc.displayAs )
+        ]
+
+
+termLoc2 : TermLoc2 -> Value
+termLoc2 loc =
+    Encode.object
+        [ ( "begin", Encode.int loc.begin )
+        , ( "end", Encode.int loc.end )
+        , ( "id", Encode.string loc.id )
+        , ( "sourceId", maybe Encode.string loc.mSourceId )
+        ]
+
+
+
+-- HELPERS
+
+
+maybe : (a -> Value) -> Maybe a -> Value
+maybe encode value =
+    value |> Maybe.map encode |> Maybe.withDefault Encode.null
+
+
+keys : Dict String v -> Value
+keys dict =
+    Encode.list Encode.string (Dict.keys dict)
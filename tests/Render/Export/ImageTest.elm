@@ -0,0 +1,36 @@
+module Render.Export.ImageTest exposing (..)
+
+import Expect
+import Parser.Forest as PF
+import Render.Export.Image
+import Render.Settings exposing (defaultRenderSettings)
+import Test exposing (..)
+
+
+imageUrls : String -> List String
+imageUrls source =
+    Render.Export.Image.imageUrls defaultRenderSettings (PF.parse (String.lines source))
+
+
+suite : Test
+suite =
+    describe "Render.Export.Image"
+        [ describe "imageUrls"
+            [ test "image block" <|
+                \_ ->
+                    imageUrls "| image caption:Figure 1 width:350\nhttps://example.com/a.png\n"
+                        |> Expect.equal [ "https://example.com/a.png" ]
+            , test "image element inside another element" <|
+                \_ ->
+                    imageUrls "Look: [b [image https://example.com/b.png width:200]] here.\n"
+                        |> Expect.equal [ "https://example.com/b.png" ]
+            , test "block and element images in document order, without duplicates" <|
+                \_ ->
+                    imageUrls "| image\nhttps://example.com/a.png\n\n[image https://example.com/b.png]\n\n[image https://example.com/a.png]\n"
+                        |> Expect.equal [ "https://example.com/a.png", "https://example.com/b.png" ]
+            , test "document without images" <|
+                \_ ->
+                    imageUrls "Just [b text].\n"
+                        |> Expect.equal []
+            ]
+        ]
@@ -0,0 +1,110 @@
+module Render.Export.PreambleTest exposing (..)
+
+import Either exposing (Either(..))
+import Expect
+import Render.Export.Preamble
+import Render.Types exposing (DocumentKind(..), PublicationData, TeXEngine(..))
+import Test exposing (..)
+
+
+publicationData : PublicationData
+publicationData =
+    { title = "Test"
+    , authorList = [ "test-author" ]
+    , kind = DKArticle
+    , date = Right ""
+    }
+
+
+preamble : TeXEngine -> String
+preamble engine =
+    Render.Export.Preamble.makeFor engine publicationData [] []
+
+
+{-| The standard packages of the pdflatex preamble as they were before the
+engine variants: the variants must leave pdflatex output unchanged.
+-}
+pdflatexStandardPackages : String
+pdflatexStandardPackages =
+    """
+%% Packages
+
+\\usepackage{listings}
+\\usepackage{xcolor}    % always available so \\textcolor works
+
+%% Standard packages
+\\usepackage{geometry}
+\\geometry{letterpaper}
+\\usepackage{changepage}  % for the adjustwidth environment
+\\usepackage{graphicx}    % for \\includegraphics
+
+%% Index, hyperref
+\\usepackage[T1]{fontenc}
+\\usepackage{lmodern}
+
+\\usepackage{hyperref}   % load before imakeidx
+\\usepackage{imakeidx}
+
+%%%%
+\\usepackage[normalem]{ulem} % for \\st
+\\usepackage{soul}           % for \\hl and \\sethlcolor
+\\usepackage{wrapfig}        % for wrapfigure
+
+%% AMS
+\\usepackage{amssymb}
+\\usepackage{amsmath}
+\\usepackage{amsthm}    % for the proof environment
+
+\\usepackage{amscd}
+
+\\usepackage{fancyvrb} %% for inline verbatim
+\\usepackage{makeidx}
+
+%% Chemistry
+\\usepackage[version=4]{mhchem} % for \\ce
+
+"""
+
+
+loads : String -> String -> Bool
+loads package text =
+    String.contains ("{" ++ package ++ "}") text
+
+
+suite : Test
+suite =
+    describe "Render.Export.Preamble"
+        [ describe "makeFor"
+            [ test "pdflatex: T1 fonts, no inputenc or fontspec" <|
+                \_ ->
+                    List.map (\package -> loads package (preamble PdfLaTeX)) [ "inputenc", "fontenc", "lmodern", "fontspec", "unicode-math" ]
+                        |> Expect.equal [ False, True, True, False, False ]
+            , test "pdflatex: the standard packages are unchanged" <|
+                \_ ->
+                    preamble PdfLaTeX
+                        |> String.contains pdflatexStandardPackages
+                        |> Expect.equal True
+            , test "xelatex: fontspec and unicode-math, no inputenc or fontenc" <|
+                \_ ->
+                    List.map (\package -> loads package (preamble XeLaTeX)) [ "inputenc", "fontenc", "fontspec", "unicode-math" ]
+                        |> Expect.equal [ False, False, True, True ]
+            , test "lualatex: fontspec and unicode-math, no inputenc or fontenc" <|
+                \_ ->
+                    List.map (\package -> loads package (preamble LuaLaTeX)) [ "inputenc", "fontenc", "fontspec", "unicode-math" ]
+                        |> Expect.equal [ False, False, True, True ]
+            , test "unicode-math comes after amsmath" <|
+                \_ ->
+                    let
+                        text =
+                            preamble XeLaTeX
+
+                        position package =
+                            String.indexes ("\\usepackage{" ++ package ++ "}") text |> List.head |> Maybe.withDefault -1
+                    in
+                    Expect.greaterThan (position "amsmath") (position "unicode-math")
+            , test "make is the pdflatex preamble" <|
+                \_ ->
+                    Render.Export.Preamble.make publicationData [ "quiver" ] []
+                        |> Expect.equal (Render.Export.Preamble.makeFor PdfLaTeX publicationData [ "quiver" ] [])
+            ]
+        ]
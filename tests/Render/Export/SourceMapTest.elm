@@ -0,0 +1,78 @@
+module Render.Export.SourceMapTest exposing (..)
+
+import Expect
+import Library.Tree
+import Parser.Forest as PF
+import Render.Export.SourceMap
+import Test exposing (..)
+
+
+source : String
+source =
+    "Intro\n\n| theorem\nAll primes are odd.\n\nThe end.\n"
+
+
+{-| A document as the exporter lays it out: preamble, then each block after
+its `%%% Line N` annotation.
+-}
+latexFor : List Int -> String
+latexFor lineNumbers =
+    ([ "\\documentclass{article}", "\\begin{document}" ]
+        ++ List.concatMap (\n -> [ "%%% Line " ++ String.fromInt n, "body of " ++ String.fromInt n, "" ]) lineNumbers
+        ++ [ "\\end{document}" ]
+    )
+        |> String.join "\n"
+
+
+suite : Test
+suite =
+    describe "Render.Export.SourceMap"
+        [ test "one entry per annotated block, in order" <|
+            \_ ->
+                let
+                    forest =
+                        PF.parse (String.lines source)
+
+                    blocks =
+                        List.concatMap Library.Tree.flatten forest
+
+                    lineNumbers =
+                        List.map (.meta >> .lineNumber) blocks
+                in
+                Render.Export.SourceMap.fromLaTeX forest (latexFor lineNumbers)
+                    |> List.map .blockId
+                    |> Expect.equal (List.map (.meta >> .id) blocks)
+        , test "ranges start after the annotation and stop before the next one" <|
+            \_ ->
+                let
+                    forest =
+                        PF.parse (String.lines source)
+
+                    lineNumbers =
+                        List.concatMap Library.Tree.flatten forest |> List.map (.meta >> .lineNumber)
+                in
+                Render.Export.SourceMap.fromLaTeX forest (latexFor lineNumbers)
+                    |> List.map (\entry -> ( entry.latexBegin, entry.latexEnd ))
+                    |> Expect.equal [ ( 4, 5 ), ( 7, 8 ), ( 10, 11 ) ]
+        , test "scripta range covers the block's lines" <|
+            \_ ->
+                let
+                    forest =
+                        PF.parse (String.lines source)
+
+                    theorem =
+                        List.concatMap Library.Tree.flatten forest |> List.drop 1 |> List.head
+                in
+                case theorem of
+                    Nothing ->
+                        Expect.fail "expected a second block"
+
+                    Just block ->
+                        Render.Export.SourceMap.fromLaTeX forest (latexFor [ block.meta.lineNumber ])
+                            |> List.map (\entry -> ( entry.blockName, entry.scriptaEnd - entry.scriptaBegin + 1 ))
+                            |> Expect.equal [ ( Just "theorem", block.meta.numberOfLines ) ]
+        , test "annotations that match no block are skipped" <|
+            \_ ->
+                Render.Export.SourceMap.fromLaTeX (PF.parse (String.lines source)) (latexFor [ 999 ])
+                    |> Expect.equal []
+        ]
@@ -0,0 +1,64 @@
+module V3.EncodeTest exposing (..)
+
+import Expect
+import Json.Decode as Decode
+import Parser.Forest as PF
+import Test exposing (..)
+import TestData
+import V3.Encode
+
+
+encode : String -> Decode.Value
+encode source =
+    let
+        ( acc, forest ) =
+            PF.parseToForestWithAccumulator TestData.defaultCompilerParameters (String.lines source)
+    in
+    V3.Encode.document acc forest
+
+
+decodeField : List String -> Decode.Decoder a -> String -> Result Decode.Error a
+decodeField path decoder source =
+    Decode.decodeValue (Decode.at path decoder) (encode source)
+
+
+firstBlock : List String -> Decode.Decoder a -> String -> Result Decode.Error a
+firstBlock path decoder source =
+    decodeField [ "forest" ] (Decode.index 0 (Decode.at ("block" :: path) decoder)) source
+
+
+suite : Test
+suite =
+    describe "V3.Encode"
+        [ test "document carries the format version" <|
+            \_ ->
+                decodeField [ "version" ] Decode.int "Hello\n"
+                    |> Expect.equal (Ok V3.Encode.version)
+        , test "one tree per top-level block" <|
+            \_ ->
+                decodeField [ "forest" ] (Decode.list (Decode.succeed ())) "First\n\nSecond\n"
+                    |> Result.map List.length
+                    |> Expect.equal (Ok 2)
+        , test "ordinary block heading with name" <|
+            \_ ->
+                firstBlock [ "heading" ] (Decode.map2 Tuple.pair (Decode.field "kind" Decode.string) (Decode.field "name" Decode.string)) "| theorem\nAll primes are odd.\n"
+                    |> Expect.equal (Ok ( "ordinary", "theorem" ))
+        , test "verbatim block body is text" <|
+            \_ ->
+                firstBlock [ "body" ] (Decode.map2 Tuple.pair (Decode.field "kind" Decode.string) (Decode.field "text" Decode.string)) "| code\nx = 1\n"
+                    |> Expect.equal (Ok ( "verbatim", "x = 1" ))
+        , test "expressions are tagged by constructor" <|
+            \_ ->
+                firstBlock [ "body", "expressions" ] (Decode.list (Decode.field "type" Decode.string)) "Hello [b world]\n"
+                    |> Expect.equal (Ok [ "Text", "Fun" ])
+        , test "block meta includes the source line" <|
+            \_ ->
+                decodeField [ "forest" ] (Decode.list (Decode.at [ "block", "meta", "lineNumber" ] Decode.int)) "First\n\nSecond\n"
+                    |> Result.map (\lines -> List.map2 (-) (List.drop 1 lines) lines)
+                    |> Expect.equal (Ok [ 2 ])
+        , test "accumulator terms are keyed by term" <|
+            \_ ->
+                decodeField [ "accumulator", "terms" ] (Decode.keyValuePairs (Decode.field "id" Decode.string)) "The [term hypotenuse] is long.\n"
+                    |> Result.map (List.map Tuple.first)
+                    |> Expect.equal (Ok [ "hypotenuse" ])
+        ]
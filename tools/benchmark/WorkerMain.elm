@@ -5,14 +5,15 @@ Only supports fullParse (no incremental parsing or ExpressionCache).
 -}
 
 import Json.Decode as Decode
+import Json.Encode as Encode
 import Parser.Forest
 import TestData
 
 
-port receiveCommand : ({ command : String, sourceText : String } -> msg) -> Sub msg
+port receiveRequest : (Decode.Value -> msg) -> Sub msg
 
 
-port sendResult : String -> Cmd msg
+port sendResponse : Encode.Value -> Cmd msg
 
 
 type alias Model =
@@ -20,7 +21,11 @@ type alias Model =
 
 
 type Msg
-    = GotCommand { command : String, sourceText : String }
+    = GotRequest Decode.Value
+
+
+type alias Request =
+    { id : Int, command : String, sourceText : String }
 
 
 main : Program () Model Msg
@@ -28,28 +33,58 @@ main =
     Platform.worker
         { init = \_ -> ( (), Cmd.none )
         , update = update
-        , subscriptions = \_ -> receiveCommand GotCommand
+        , subscriptions = \_ -> receiveRequest GotRequest
         }
 
 
 update : Msg -> Model -> ( Model, Cmd Msg )
 update msg model =
     case msg of
-        GotCommand { command, sourceText } ->
-            case command of
-                "fullParse" ->
-                    let
-                        params =
-                            TestData.defaultCompilerParameters
-
-                        ( _, forest ) =
-                            Parser.Forest.parseToForestWithAccumulator params (String.lines sourceText)
-
-                        -- Force evaluation by checking forest length
-                        n =
-                            List.length forest
-                    in
-                    ( model, sendResult (String.fromInt n) )
-
-                _ ->
-                    ( model, sendResult ("unknown command: " ++ command) )
+        GotRequest value ->
+            case Decode.decodeValue requestDecoder value of
+                Err err ->
+                    ( model, respond (Decode.decodeValue (Decode.field "id" Decode.int) value |> Result.toMaybe) (Err (Decode.errorToString err)) )
+
+                Ok { id, command, sourceText } ->
+                    case command of
+                        "fullParse" ->
+                            let
+                                params =
+                                    TestData.defaultCompilerParameters
+
+                                ( _, forest ) =
+                                    Parser.Forest.parseToForestWithAccumulator params (String.lines sourceText)
+
+                                -- Force evaluation by checking forest length
+                                n =
+                                    List.length forest
+                            in
+                            ( model, respond (Just id) (Ok n) )
+
+                        _ ->
+                            ( model, respond (Just id) (Err ("unknown command: " ++ command)) )
+
+
+requestDecoder : Decode.Decoder Request
+requestDecoder =
+    Decode.map3 Request
+        (Decode.field "id" Decode.int)
+        (Decode.field "command" Decode.string)
+        (Decode.field "sourceText" Decode.string)
+
+
+{-| Answer in the request protocol of tools/toLaTeXExport/compiler.js.
+-}
+respond : Maybe Int -> Result String Int -> Cmd msg
+respond maybeId result =
+    let
+        id =
+            maybeId |> Maybe.map Encode.int |> Maybe.withDefault Encode.null
+    in
+    sendResponse <|
+        case result of
+            Ok n ->
+                Encode.object [ ( "id", id ), ( "ok", Encode.bool True ), ( "result", Encode.int n ) ]
+
+            Err error ->
+                Encode.object [ ( "id", id ), ( "ok", Encode.bool False ), ( "error", Encode.string error ) ]
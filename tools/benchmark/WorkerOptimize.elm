@@ -2,100 +2,205 @@ port module WorkerOptimize exposing (main)
 
 {-| Benchmark worker for the `optimize` branch.
 Supports fullParse, seedCache, incrementalParse, and cachedForest commands.
+
+The phase:\* commands run one stage of the pipeline each, on what the
+previous stage left in the model, so that run.js can time them separately:
+
+    phase:primitiveBlocks   Parser.PrimitiveBlock.parse (sourceText)
+    phase:forest            Generic.ForestTransform.forestFromBlocks
+    phase:expressions       Parser.Pipeline.toExpressionBlock on every block
+    phase:accumulate        Generic.Acc.transformAccumulate
+    phase:render            V3.Compiler.renderStrict (the Html tree)
+
 -}
 
 import Dict
+import Generic.Acc
+import Generic.ForestTransform
 import Json.Decode as Decode
+import Json.Encode as Encode
 import Parser.Forest
+import Parser.Pipeline
+import Parser.PrimitiveBlock
 import RoseTree.Tree as Tree exposing (Tree)
 import TestData
-import V3.Types exposing (Accumulator, ExpressionBlock, ExpressionCache)
+import V3.Compiler
+import V3.Types exposing (Accumulator, ExpressionBlock, ExpressionCache, PrimitiveBlock)
 
 
-port receiveCommand : ({ command : String, sourceText : String } -> msg) -> Sub msg
+port receiveRequest : (Decode.Value -> msg) -> Sub msg
 
 
-port sendResult : String -> Cmd msg
+port sendResponse : Encode.Value -> Cmd msg
 
 
 type alias Model =
     { cache : ExpressionCache
     , forest : List (Tree ExpressionBlock)
     , accumulator : Maybe Accumulator
+    , primitiveBlocks : List PrimitiveBlock
+    , primitiveForest : List (Tree PrimitiveBlock)
+    , expressionForest : List (Tree ExpressionBlock)
     }
 
 
 type Msg
-    = GotCommand { command : String, sourceText : String }
+    = GotRequest Decode.Value
+
+
+type alias Request =
+    { id : Int, command : String, sourceText : String }
 
 
 main : Program () Model Msg
 main =
     Platform.worker
-        { init = \_ -> ( { cache = Dict.empty, forest = [], accumulator = Nothing }, Cmd.none )
+        { init = \_ -> ( initialModel, Cmd.none )
         , update = update
-        , subscriptions = \_ -> receiveCommand GotCommand
+        , subscriptions = \_ -> receiveRequest GotRequest
         }
 
 
+initialModel : Model
+initialModel =
+    { cache = Dict.empty
+    , forest = []
+    , accumulator = Nothing
+    , primitiveBlocks = []
+    , primitiveForest = []
+    , expressionForest = []
+    }
+
+
 update : Msg -> Model -> ( Model, Cmd Msg )
 update msg model =
     case msg of
-        GotCommand { command, sourceText } ->
-            case command of
-                "fullParse" ->
-                    let
-                        params =
-                            TestData.defaultCompilerParameters
-
-                        ( acc, forest ) =
-                            Parser.Forest.parseToForestWithAccumulator params (String.lines sourceText)
-
-                        n =
-                            List.length forest
-                    in
-                    ( { model | forest = forest, accumulator = Just acc }
-                    , sendResult (String.fromInt n)
-                    )
-
-                "seedCache" ->
-                    let
-                        params =
-                            TestData.defaultCompilerParameters
-
-                        ( newCache, acc, forest ) =
-                            Parser.Forest.parseIncrementally params model.cache (String.lines sourceText)
-
-                        n =
-                            List.length forest
-                    in
-                    ( { model | cache = newCache, forest = forest, accumulator = Just acc }
-                    , sendResult (String.fromInt n)
-                    )
-
-                "incrementalParse" ->
-                    let
-                        params =
-                            TestData.defaultCompilerParameters
-
-                        ( newCache, acc, forest ) =
-                            Parser.Forest.parseIncrementally params model.cache (String.lines sourceText)
-
-                        n =
-                            List.length forest
-                    in
-                    ( { model | cache = newCache, forest = forest, accumulator = Just acc }
-                    , sendResult (String.fromInt n)
-                    )
-
-                "cachedForest" ->
-                    -- Return stored forest without re-parsing.
-                    -- Measures the "skip parse on non-edit interaction" optimization.
-                    let
-                        n =
-                            List.length model.forest
-                    in
-                    ( model, sendResult (String.fromInt n) )
-
-                _ ->
-                    ( model, sendResult ("unknown command: " ++ command) )
+        GotRequest value ->
+            case Decode.decodeValue requestDecoder value of
+                Err err ->
+                    ( model, respond (Decode.decodeValue (Decode.field "id" Decode.int) value |> Result.toMaybe) (Err (Decode.errorToString err)) )
+
+                Ok { id, command, sourceText } ->
+                    case command of
+                        "fullParse" ->
+                            let
+                                params =
+                                    TestData.defaultCompilerParameters
+
+                                ( acc, forest ) =
+                                    Parser.Forest.parseToForestWithAccumulator params (String.lines sourceText)
+
+                                n =
+                                    List.length forest
+                            in
+                            ( { model | forest = forest, accumulator = Just acc }
+                            , respond (Just id) (Ok n)
+                            )
+
+                        "seedCache" ->
+                            let
+                                params =
+                                    TestData.defaultCompilerParameters
+
+                                ( newCache, acc, forest ) =
+                                    Parser.Forest.parseIncrementally params model.cache (String.lines sourceText)
+
+                                n =
+                                    List.length forest
+                            in
+                            ( { model | cache = newCache, forest = forest, accumulator = Just acc }
+                            , respond (Just id) (Ok n)
+                            )
+
+                        "incrementalParse" ->
+                            let
+                                params =
+                                    TestData.defaultCompilerParameters
+
+                                ( newCache, acc, forest ) =
+                                    Parser.Forest.parseIncrementally params model.cache (String.lines sourceText)
+
+                                n =
+                                    List.length forest
+                            in
+                            ( { model | cache = newCache, forest = forest, accumulator = Just acc }
+                            , respond (Just id) (Ok n)
+                            )
+
+                        "cachedForest" ->
+                            -- Return stored forest without re-parsing.
+                            -- Measures the "skip parse on non-edit interaction" optimization.
+                            let
+                                n =
+                                    List.length model.forest
+                            in
+                            ( model, respond (Just id) (Ok n) )
+
+                        "phase:primitiveBlocks" ->
+                            let
+                                blocks =
+                                    Parser.PrimitiveBlock.parse (String.lines sourceText)
+                            in
+                            ( { model | primitiveBlocks = blocks }, respond (Just id) (Ok (List.length blocks)) )
+
+                        "phase:forest" ->
+                            let
+                                forest =
+                                    Generic.ForestTransform.forestFromBlocks .indent model.primitiveBlocks
+                            in
+                            ( { model | primitiveForest = forest }, respond (Just id) (Ok (List.length forest)) )
+
+                        "phase:expressions" ->
+                            -- No filterForest: TestData.defaultCompilerParameters has NoFilter
+                            let
+                                forest =
+                                    List.map (Tree.mapValues Parser.Pipeline.toExpressionBlock) model.primitiveForest
+                            in
+                            ( { model | expressionForest = forest }, respond (Just id) (Ok (List.length forest)) )
+
+                        "phase:accumulate" ->
+                            let
+                                ( acc, forest ) =
+                                    Generic.Acc.transformAccumulate Generic.Acc.initialData model.expressionForest
+                            in
+                            ( { model | forest = forest, accumulator = Just acc }, respond (Just id) (Ok (List.length forest)) )
+
+                        "phase:render" ->
+                            case model.accumulator of
+                                Nothing ->
+                                    ( model, respond (Just id) (Err "phase:render needs phase:accumulate first") )
+
+                                Just acc ->
+                                    let
+                                        output =
+                                            V3.Compiler.renderStrict TestData.defaultCompilerParameters ( acc, model.forest )
+                                    in
+                                    ( model, respond (Just id) (Ok (List.length output.body)) )
+
+                        _ ->
+                            ( model, respond (Just id) (Err ("unknown command: " ++ command)) )
+
+
+requestDecoder : Decode.Decoder Request
+requestDecoder =
+    Decode.map3 Request
+        (Decode.field "id" Decode.int)
+        (Decode.field "command" Decode.string)
+        (Decode.field "sourceText" Decode.string)
+
+
+{-| Answer in the request protocol of tools/toLaTeXExport/compiler.js.
+-}
+respond : Maybe Int -> Result String Int -> Cmd msg
+respond maybeId result =
+    let
+        id =
+            maybeId |> Maybe.map Encode.int |> Maybe.withDefault Encode.null
+    in
+    sendResponse <|
+        case result of
+            Ok n ->
+                Encode.object [ ( "id", id ), ( "ok", Encode.bool True ), ( "result", Encode.int n ) ]
+
+            Err error ->
+                Encode.object [ ( "id", id ), ( "ok", Encode.bool False ), ( "error", Encode.string error ) ]
@@ -1,17 +1,49 @@
 #!/usr/bin/env node
 
 /**
- * Compare benchmark results from two branches.
+ * Compare benchmark results across runs: two branches, any list of refs, or
+ * the last N commits in the history (see history.js).
+ *
+ * Each operation is compared on the raw samples run.js stores next to its
+ * stats: the speedup is the ratio of the medians, with a bootstrap 95%
+ * confidence interval, and a two-sided Mann-Whitney U test says whether the
+ * two sets of times differ at all. A row is significant when p < alpha.
+ * Results written before run.js kept samples are compared on their means,
+ * without a test.
+ *
+ * Two runs get the full table (medians, speedup, CI, p). More runs get a
+ * trend table, one median per run with a sparkline, and each row's last run
+ * is tested against the one before it.
  *
  * Usage:
  *   node compare.js results-main.json results-optimize.json
+ *   node compare.js base.json new.json --threshold 5 [--alpha 0.01]
+ *   node compare.js a.json b.json c.json ...
+ *   node compare.js --history [--last 10] [--report history/report.html]
+ *
+ * With --threshold PCT, exits with status 1 if any operation is
+ * significantly slower in the last run than in the one before it by more
+ * than PCT percent. --report writes the trends with sparklines as markdown
+ * (a .md path) or HTML.
  */
 
 const fs = require("fs");
-const path = require("path");
+const { random } = require("./traces");
+const { HISTORY_DIR, loadHistory, runLabel, runRows, series, median, textSparkline, writeReport } = require("./history");
+
+const BOOTSTRAP_RESAMPLES = 2000;
+const DEFAULT_ALPHA = 0.05;
+const DEFAULT_LAST = 10;
 
 function usage() {
-  console.error("Usage: node compare.js <results-main.json> <results-optimize.json>");
+  console.error("Usage: node compare.js <results.json> <results.json>... [options]");
+  console.error("       node compare.js --history [--last N] [options]");
+  console.error("");
+  console.error(`  --history        compare the last runs recorded in ${HISTORY_DIR}`);
+  console.error(`  --last N         how many (default ${DEFAULT_LAST})`);
+  console.error("  --threshold PCT  exit 1 on a significant slowdown of more than PCT percent");
+  console.error(`  --alpha A        significance level of the Mann-Whitney test (default ${DEFAULT_ALPHA})`);
+  console.error("  --report FILE    write a markdown (.md) or HTML report with sparklines");
   process.exit(1);
 }
 
@@ -35,41 +67,110 @@ function formatSpeedup(mainMs, optMs) {
   return (ratio.toFixed(2) + "x").padStart(8);
 }
 
-function main() {
-  const args = process.argv.slice(2);
-  if (args.length < 2) usage();
+// ---------------------------------------------------------------------------
+// Statistics
+// ---------------------------------------------------------------------------
+
+// Percentile bootstrap of median(a) / median(b), the speedup of b over a.
+// Seeded, so that the same files always give the same interval.
+function bootstrapRatio(a, b, resamples = BOOTSTRAP_RESAMPLES) {
+  const next = random(1);
+  const resample = (xs) => xs.map(() => xs[Math.floor(next() * xs.length)]);
+  const ratios = [];
+  for (let i = 0; i < resamples; i++) {
+    ratios.push(median(resample(a)) / median(resample(b)));
+  }
+  ratios.sort((x, y) => x - y);
+  return [ratios[Math.floor(resamples * 0.025)], ratios[Math.floor(resamples * 0.975)]];
+}
 
-  const mainData = loadResults(args[0]);
-  const optData = loadResults(args[1]);
+// Standard normal CDF (Abramowitz and Stegun 7.1.26, error < 1.5e-7)
+function normalCdf(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
 
-  console.log(`\nComparison: ${mainData.branch} vs ${optData.branch}`);
-  console.log(`Main: ${mainData.iterations} iterations, ${mainData.timestamp}`);
-  console.log(`Optimize: ${optData.iterations} iterations, ${optData.timestamp}`);
+// Two-sided Mann-Whitney U test with the normal approximation (corrected
+// for ties and continuity); fine for the tens of samples run.js takes
+function mannWhitney(a, b) {
+  const all = a.map((v) => [v, 0]).concat(b.map((v) => [v, 1])).sort((x, y) => x[0] - y[0]);
+  const n = all.length;
+  let rankSumA = 0;
+  let tieTerm = 0;
+  for (let i = 0; i < n; ) {
+    let j = i;
+    while (j < n && all[j][0] === all[i][0]) j++;
+    const rank = (i + 1 + j) / 2; // average of ranks i+1 .. j
+    for (let k = i; k < j; k++) if (all[k][1] === 0) rankSumA += rank;
+    const t = j - i;
+    tieTerm += t * t * t - t;
+    i = j;
+  }
+  const [n1, n2] = [a.length, b.length];
+  const u = rankSumA - (n1 * (n1 + 1)) / 2;
+  const mean = (n1 * n2) / 2;
+  const sigma = Math.sqrt(((n1 * n2) / 12) * (n + 1 - tieTerm / (n * (n - 1))));
+  if (sigma === 0) return { u, p: 1 };
+  const z = (Math.abs(u - mean) - 0.5) / sigma;
+  return { u, p: Math.min(1, 2 * (1 - normalCdf(Math.max(z, 0)))) };
+}
 
-  // Build lookup maps: label -> operation -> stats
-  function buildMap(data) {
-    const map = {};
-    for (const r of data.results) {
-      if (!map[r.label]) map[r.label] = {};
-      map[r.label][r.operation] = r;
-    }
-    return map;
+// One row of the comparison: medians when both sides have samples, means
+// otherwise; `slowdown` is the fractional change in time from a to b
+function compareSamples(a, b, alpha) {
+  if (!a.samples || !b.samples) {
+    return { base: a.stats.mean, next: b.stats.mean, ci: null, p: null, significant: null, slowdown: b.stats.mean / a.stats.mean - 1 };
+  }
+  const base = median(a.samples);
+  const next = median(b.samples);
+  const { p } = mannWhitney(a.samples, b.samples);
+  return { base, next, ci: bootstrapRatio(a.samples, b.samples), p, significant: p < alpha, slowdown: next / base - 1 };
+}
+
+// "slower +12.3% (p=0.002)", "faster ...", or "no change (p=0.41)"
+function verdict(c) {
+  const pct = `${c.slowdown >= 0 ? "+" : ""}${(c.slowdown * 100).toFixed(1)}%`;
+  if (c.p === null) return `${pct} (means)`;
+  if (!c.significant) return `no change (p=${c.p.toFixed(3)})`;
+  return `${c.slowdown > 0 ? "slower" : "faster"} ${pct} (p=${c.p.toFixed(3)})`;
+}
+
+// ---------------------------------------------------------------------------
+// Tables
+// ---------------------------------------------------------------------------
+
+// Build lookup maps: label -> operation -> result
+function buildMap(run) {
+  const map = {};
+  for (const r of runRows(run)) {
+    if (!map[r.label]) map[r.label] = {};
+    map[r.label][r.operation] = r;
   }
+  return map;
+}
 
-  const mainMap = buildMap(mainData);
-  const optMap = buildMap(optData);
+// Both runs' medians side by side, with speedup, CI and test
+function printPairTable(runs, maps, comparisons, alpha) {
+  const [mainData, optData] = runs;
+  const [mainMap, optMap] = maps;
+  const names = runs.map((run) => runLabel(run).slice(0, 14));
 
   // Collect all document labels and operations
-  const labels = [...new Set([...mainData.results, ...optData.results].map((r) => r.label))];
-  const operations = [...new Set([...mainData.results, ...optData.results].map((r) => r.operation))];
+  const labels = [...new Set([...runRows(mainData), ...runRows(optData)].map((r) => r.label))];
+  const operations = [...new Set([...runRows(mainData), ...runRows(optData)].map((r) => r.operation))];
 
-  // Print comparison table
   const header = [
     "Document".padEnd(10),
-    "Operation".padEnd(20),
-    "main(ms)".padStart(10),
-    "opt(ms)".padStart(10),
+    "Operation".padEnd(22),
+    names[0].padStart(14),
+    names[1].padStart(14),
     "Speedup".padStart(10),
+    "95% CI".padStart(15),
+    "p".padStart(7),
+    "Sig".padEnd(3),
     "Notes".padEnd(30),
   ].join(" | ");
 
@@ -86,28 +187,32 @@ function main() {
 
       if (!mainR && !optR) continue;
 
-      const mainMean = mainR ? mainR.stats.mean : null;
-      const optMean = optR ? optR.stats.mean : null;
+      const c = comparisons.find((x) => x.label === label && x.op === op);
 
       let notes = "";
       if (op === "incrementalParse" || op === "incrParse-edited") {
-        // Compare incremental vs full parse on optimize branch
+        // Compare incremental vs full parse on the second run
         const optFull = optMap[label] && optMap[label]["fullParse"];
-        if (optFull && optMean !== null) {
-          const vsFullRatio = optFull.stats.mean / optMean;
-          notes = `${vsFullRatio.toFixed(2)}x vs opt fullParse`;
-        }
-        if (!mainR) {
-          notes += (notes ? "; " : "") + "optimize-only";
+        if (optFull && optR) {
+          const vsFullRatio = optFull.stats.mean / optR.stats.mean;
+          notes = `${vsFullRatio.toFixed(2)}x vs its fullParse`;
         }
       }
+      if (!mainR || !optR) {
+        notes += (notes ? "; " : "") + `${runLabel(mainR ? mainData : optData)} only`;
+      } else if (c.p === null) {
+        notes += (notes ? "; " : "") + "means, no samples";
+      }
 
       const row = [
         label.padEnd(10),
-        op.padEnd(20),
-        formatMs(mainMean),
-        formatMs(optMean),
-        mainMean !== null && optMean !== null ? formatSpeedup(mainMean, optMean) : "       —",
+        op.padEnd(22),
+        formatMs(c ? c.base : mainR && mainR.stats.median).padStart(14),
+        formatMs(c ? c.next : optR && optR.stats.median).padStart(14),
+        (c ? formatSpeedup(c.base, c.next) : "       —").padStart(10),
+        (c && c.ci ? `${c.ci[0].toFixed(2)}–${c.ci[1].toFixed(2)}x` : "—").padStart(15),
+        (c && c.p !== null ? c.p.toFixed(3) : "—").padStart(7),
+        (c && c.significant !== null ? (c.significant ? "yes" : "no") : "—").padEnd(3),
         notes.padEnd(30),
       ].join(" | ");
 
@@ -117,22 +222,125 @@ function main() {
   }
 
   console.log(sep);
+  console.log(`Medians (ms); speedup = ${runLabel(mainData)} / ${runLabel(optData)}. Sig: Mann-Whitney p < ${alpha}.`);
 
   // Summary
   console.log("\nSummary:");
   for (const label of labels) {
-    const mainFull = mainMap[label] && mainMap[label]["fullParse"];
     const optFull = optMap[label] && optMap[label]["fullParse"];
     const optIncr = optMap[label] && optMap[label]["incrementalParse"];
+    const full = comparisons.find((c) => c.label === label && c.op === "fullParse");
 
-    if (mainFull && optFull) {
-      const fullSpeedup = mainFull.stats.mean / optFull.stats.mean;
-      console.log(`  ${label}: fullParse ${fullSpeedup.toFixed(2)}x (main ${mainFull.stats.mean.toFixed(1)}ms -> opt ${optFull.stats.mean.toFixed(1)}ms)`);
+    if (full) {
+      const note = full.significant === false ? ", not significant" : "";
+      console.log(`  ${label}: fullParse ${formatSpeedup(full.base, full.next).trim()} (${full.base.toFixed(1)}ms -> ${full.next.toFixed(1)}ms${note})`);
     }
     if (optFull && optIncr) {
       const incrSpeedup = optFull.stats.mean / optIncr.stats.mean;
-      console.log(`  ${label}: incrementalParse ${incrSpeedup.toFixed(2)}x faster than fullParse on optimize`);
+      console.log(`  ${label}: incrementalParse ${incrSpeedup.toFixed(2)}x faster than fullParse in ${runLabel(optData)}`);
+    }
+  }
+}
+
+// One median per run (#1 oldest), a sparkline, and the last run against
+// the one before it
+function printTrendTable(runs, rows, comparisons) {
+  console.log("");
+  for (const [i, run] of runs.entries()) {
+    const when = run.commitDate ? run.commitDate.slice(0, 10) : run.timestamp.slice(0, 10);
+    console.log(`  #${i + 1} ${runLabel(run)} ${when}${run.subject ? " " + run.subject : ""}`);
+  }
+
+  const header = [
+    "Document".padEnd(10),
+    "Operation".padEnd(22),
+    ...runs.map((_, i) => `#${i + 1}`.padStart(8)),
+    "Trend".padEnd(Math.max(runs.length, 5)),
+    "Latest".padEnd(28),
+  ].join(" | ");
+  const sep = "=".repeat(header.length);
+
+  console.log("\n" + sep);
+  console.log(header);
+  console.log(sep);
+  let previous = null;
+  for (const r of rows) {
+    if (previous !== null && r.label !== previous) console.log("-".repeat(sep.length));
+    previous = r.label;
+    const c = comparisons.find((x) => x.label === r.label && x.op === r.operation);
+    console.log(
+      [
+        r.label.padEnd(10),
+        r.operation.padEnd(22),
+        ...r.medians.map(formatMs),
+        textSparkline(r.medians).padEnd(Math.max(runs.length, 5)),
+        (c ? verdict(c) : "—").padEnd(28),
+      ].join(" | ")
+    );
+  }
+  console.log(sep);
+  console.log("Medians (ms), oldest first. Latest: last run vs the one before it.");
+}
+
+// ---------------------------------------------------------------------------
+// Main
+// ---------------------------------------------------------------------------
+
+function main() {
+  const args = process.argv.slice(2);
+  const argValue = (flag) => args.find((_, i) => args[i - 1] === flag);
+  const valued = ["--threshold", "--alpha", "--last", "--report"];
+  const files = args.filter((a, i) => !a.startsWith("--") && !valued.includes(args[i - 1]));
+  const threshold = argValue("--threshold") !== undefined ? Number(argValue("--threshold")) : null;
+  const alpha = Number(argValue("--alpha") || DEFAULT_ALPHA);
+  const last = parseInt(argValue("--last") || String(DEFAULT_LAST), 10);
+  if ((threshold !== null && !(threshold >= 0)) || !(alpha > 0 && alpha < 1) || !(last >= 2)) usage();
+
+  const runs = args.includes("--history") ? loadHistory(HISTORY_DIR, last) : files.map(loadResults);
+  if (runs.length < 2) {
+    if (args.includes("--history")) {
+      console.error(`Need at least two runs in ${HISTORY_DIR} (found ${runs.length}); record them with run.js --history or compare.sh`);
+      process.exit(1);
+    }
+    usage();
+  }
+
+  console.log(`\nComparison: ${runs.map(runLabel).join(" vs ")}`);
+  for (const run of runs) {
+    console.log(`${runLabel(run)}: ${run.iterations} iterations, ${run.timestamp}`);
+  }
+
+  // Each row's last run against the run before it that has the row
+  const maps = runs.map(buildMap);
+  const rows = series(runs);
+  const comparisons = [];
+  for (const r of rows) {
+    const present = maps.map((map) => map[r.label] && map[r.label][r.operation]).filter(Boolean);
+    const [a, b] = present.slice(-2);
+    if (b && maps[maps.length - 1][r.label] && maps[maps.length - 1][r.label][r.operation] === b) {
+      comparisons.push({ label: r.label, op: r.operation, ...compareSamples(a, b, alpha) });
+    }
+  }
+
+  if (runs.length === 2) printPairTable(runs, maps, comparisons, alpha);
+  else printTrendTable(runs, rows, comparisons);
+
+  const report = argValue("--report");
+  if (report) {
+    const verdicts = new Map(comparisons.map((c) => [c.label + "\u0000" + c.op, verdict(c)]));
+    console.log(`\nReport written to: ${writeReport(runs, report, verdicts)}`);
+  }
+
+  if (threshold !== null) {
+    const slower = comparisons.filter((c) => c.significant && c.slowdown * 100 > threshold);
+    if (slower.length > 0) {
+      console.log(`\nSignificant slowdowns above ${threshold}%:`);
+      for (const c of slower) {
+        console.log(`  ${c.label} ${c.op}: ${c.base.toFixed(2)}ms -> ${c.next.toFixed(2)}ms (+${(c.slowdown * 100).toFixed(1)}%, p=${c.p.toFixed(3)})`);
+      }
+      process.exit(1);
     }
+    console.log(`\nNo significant slowdown above ${threshold}%.`);
   }
 }
 
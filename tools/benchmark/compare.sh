@@ -1,103 +1,108 @@
 #!/bin/bash
 #
-# Cross-branch benchmark comparison.
+# Cross-ref benchmark comparison.
 #
-# Creates worktrees for `main` and `optimize`, builds the appropriate
-# Worker variant in each, runs benchmarks, and compares results.
+# Creates a worktree for each git ref (default: main and optimize), builds
+# the Worker variant that ref's sources support, runs the benchmarks, records
+# each run in history/ under its commit hash, and compares the results.
 #
 # Usage:
 #   ./compare.sh
 #   ./compare.sh --iterations 50
+#   ./compare.sh v1.0 v1.1 HEAD~5 HEAD     # any refs, oldest first
+#   THRESHOLD=5 ./compare.sh     # fail on a significant slowdown of over 5%
+#   REPORT=report.html ./compare.sh a b c  # also write a report (.md or .html)
 
 set -euo pipefail
 
 SCRIPT_DIR="$(cd "$(dirname "$0")" && pwd)"
 REPO_ROOT="$(cd "$SCRIPT_DIR/../.." && pwd)"
-ITERATIONS="${1:---iterations}"
-ITER_COUNT="${2:-100}"
 
-BENCH_MAIN="/tmp/bench-main"
-BENCH_OPT="/tmp/bench-optimize"
+ITER_COUNT=100
+REFS=()
+while [ $# -gt 0 ]; do
+  case "$1" in
+    --iterations) ITER_COUNT="$2"; shift 2 ;;
+    *) REFS+=("$1"); shift ;;
+  esac
+done
+[ ${#REFS[@]} -gt 0 ] || REFS=(main optimize)
+
+WORKTREES=()
+RESULTS=()
 
 cleanup() {
   echo "Cleaning up worktrees..."
   cd "$REPO_ROOT"
-  git worktree remove "$BENCH_MAIN" --force 2>/dev/null || true
-  git worktree remove "$BENCH_OPT" --force 2>/dev/null || true
+  for wt in "${WORKTREES[@]}"; do
+    git worktree remove "$wt" --force 2>/dev/null || true
+  done
 }
 
 trap cleanup EXIT
 
-echo "=== Scripta Benchmark: main vs optimize ==="
+echo "=== Scripta Benchmark: ${REFS[*]} ==="
 echo "Repo: $REPO_ROOT"
-echo ""
-
-# 1. Create worktrees
-echo "Creating worktrees..."
-cd "$REPO_ROOT"
-git worktree remove "$BENCH_MAIN" --force 2>/dev/null || true
-git worktree remove "$BENCH_OPT" --force 2>/dev/null || true
-git worktree add "$BENCH_MAIN" main
-git worktree add "$BENCH_OPT" optimize
-
-# 2. Copy benchmark tool into each worktree
-echo "Copying benchmark tools..."
-mkdir -p "$BENCH_MAIN/tools/benchmark"
-mkdir -p "$BENCH_OPT/tools/benchmark"
 
-for dir in "$BENCH_MAIN/tools/benchmark" "$BENCH_OPT/tools/benchmark"; do
+for ref in "${REFS[@]}"; do
+  cd "$REPO_ROOT"
+  hash="$(git rev-parse --verify "$ref^{commit}")"
+  label="$(echo "$ref" | tr -c 'A-Za-z0-9._\n-' '-')"
+  wt="/tmp/bench-$label"
+
+  # 1. Create the worktree, detached at the ref's commit
+  echo ""
+  echo "=== $ref ($hash) ==="
+  git worktree remove "$wt" --force 2>/dev/null || true
+  git worktree add --detach "$wt" "$hash"
+  WORKTREES+=("$wt")
+
+  # 2. Copy the benchmark tools into it
+  dir="$wt/tools/benchmark"
+  mkdir -p "$dir"
   cp "$SCRIPT_DIR/elm.json" "$dir/"
   cp "$SCRIPT_DIR/run.js" "$dir/"
+  cp "$SCRIPT_DIR/traces.js" "$dir/"
+  cp "$SCRIPT_DIR/generate.js" "$dir/"
+  cp "$SCRIPT_DIR/history.js" "$dir/"
+  cp -r "$SCRIPT_DIR/traces" "$dir/"
   cp "$SCRIPT_DIR/Makefile" "$dir/"
+  # run.js talks to the worker through the shared request client
+  mkdir -p "$dir/../toLaTeXExport"
+  cp "$SCRIPT_DIR/../toLaTeXExport/compiler.js" "$dir/../toLaTeXExport/"
+
+  # 3. WorkerOptimize needs incremental parsing; older sources get WorkerMain
+  # (fullParse and traces)
+  if git show "$hash:src/Parser/Forest.elm" 2>/dev/null | grep -q parseIncrementally; then
+    variant=WorkerOptimize
+  else
+    variant=WorkerMain
+  fi
+  echo "Worker: $variant"
+  sed "s/^port module $variant/port module Worker/" "$SCRIPT_DIR/$variant.elm" > "$dir/Worker.elm"
+  # phase:render needs V3.Compiler.renderStrict: without it, drop that case
+  # (up to the catch-all) and run.js leaves the phase out
+  if [ "$variant" = WorkerOptimize ] &&
+     ! git show "$hash:src/V3/Compiler.elm" 2>/dev/null | grep -q renderStrict; then
+    echo "No V3.Compiler.renderStrict: building without phase:render"
+    sed -i.bak '/^ *"phase:render" ->/,/^ *_ ->/{/^ *_ ->/!d;}' "$dir/Worker.elm"
+    rm -f "$dir/Worker.elm.bak"
+  fi
+
+  # 4. Build, run, and record the run in this checkout's history/
+  cd "$dir"
+  make build WORKER=Worker.elm
+  node run.js --iterations "$ITER_COUNT" --label "$ref" --history --history-dir "$SCRIPT_DIR/history"
+  RESULTS+=("$dir/results-$label.json")
 done
 
-# 3. Copy branch-specific workers
-echo "Setting up branch-specific workers..."
-cp "$SCRIPT_DIR/WorkerMain.elm" "$BENCH_MAIN/tools/benchmark/Worker.elm"
-cp "$SCRIPT_DIR/WorkerOptimize.elm" "$BENCH_OPT/tools/benchmark/Worker.elm"
-
-# Also rename the module declaration to "Worker" for each
-sed -i.bak 's/^port module WorkerMain/port module Worker/' "$BENCH_MAIN/tools/benchmark/Worker.elm"
-sed -i.bak 's/^port module WorkerOptimize/port module Worker/' "$BENCH_OPT/tools/benchmark/Worker.elm"
-rm -f "$BENCH_MAIN/tools/benchmark/Worker.elm.bak"
-rm -f "$BENCH_OPT/tools/benchmark/Worker.elm.bak"
-
-# Update run.js to look for Elm.Worker instead of WorkerMain/WorkerOptimize
-for dir in "$BENCH_MAIN/tools/benchmark" "$BENCH_OPT/tools/benchmark"; do
-  sed -i.bak 's/Elm\.WorkerMain || Elm\.WorkerOptimize/Elm.Worker/' "$dir/run.js"
-  sed -i.bak 's/!!Elm\.WorkerOptimize/!!Elm.Worker.init.toString().includes("seedCache")/' "$dir/run.js"
-  rm -f "$dir/run.js.bak"
-done
-
-# 4. Build and run on main branch
-echo ""
-echo "=== Building main branch ==="
-cd "$BENCH_MAIN/tools/benchmark"
-make build
-
-echo ""
-echo "=== Running benchmarks on main ==="
-node run.js --iterations "$ITER_COUNT"
-
-# 5. Build and run on optimize branch
-echo ""
-echo "=== Building optimize branch ==="
-cd "$BENCH_OPT/tools/benchmark"
-make build
-
-echo ""
-echo "=== Running benchmarks on optimize ==="
-node run.js --iterations "$ITER_COUNT"
-
-# 6. Compare results
+# 5. Compare results, in the order the refs were given
 echo ""
 echo "=== Comparison ==="
 cd "$SCRIPT_DIR"
-node compare.js \
-  "$BENCH_MAIN/tools/benchmark/results-main.json" \
-  "$BENCH_OPT/tools/benchmark/results-optimize.json"
+node compare.js "${RESULTS[@]}" \
+  ${THRESHOLD:+--threshold "$THRESHOLD"} \
+  ${REPORT:+--report "$REPORT"}
 
 echo ""
-echo "Done. Results saved in worktrees at:"
-echo "  Main:     $BENCH_MAIN/tools/benchmark/results-main.json"
-echo "  Optimize: $BENCH_OPT/tools/benchmark/results-optimize.json"
+echo "Done. Runs recorded in $SCRIPT_DIR/history/"
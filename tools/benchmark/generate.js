@@ -0,0 +1,214 @@
+#!/usr/bin/env node
+
+/**
+ * Synthetic Scripta documents for scaling benchmarks.
+ *
+ * generate({ lines, mix, seed }) returns a document of about `lines` lines,
+ * built from blocks drawn at random in the proportions of `mix`:
+ *
+ *   math      | equation and | aligned blocks with labels, and $$ displays
+ *   lists     bulleted and numbered items, nested up to three levels
+ *   theorems  | theorem, | lemma and | definition blocks with labels
+ *   tables    | table blocks with inline math in the cells
+ *   macros    paragraphs using the macros of the || mathmacros block
+ *
+ * The rest are plain paragraphs with inline elements and math, a share of
+ * them citing earlier labels with [ref ...] and [eqref ...]; a section
+ * heading starts every forty blocks or so. The same options always give the
+ * same document.
+ *
+ * Usage:
+ *   node generate.js --lines 10000 [--mix math=0.2,tables=0] [--seed 1] [--output FILE]
+ */
+
+const fs = require("fs");
+const { random } = require("./traces");
+
+const DEFAULT_MIX = { math: 0.15, lists: 0.15, theorems: 0.1, tables: 0.05, macros: 0.1 };
+const KINDS = Object.keys(DEFAULT_MIX);
+const REF_RATE = 0.3;
+const BLOCKS_PER_SECTION = 40;
+
+const WORDS = (
+  "the of a space map group ring field every finite module is and for with each " +
+  "prime ideal function continuous bounded set element we show that then there " +
+  "exists unique morphism category object limit sequence converges series norm"
+).split(" ");
+
+const MACROS = [
+  ["\\newcommand{\\bN}{\\mathbb{N}}", "\\bN"],
+  ["\\newcommand{\\bR}{\\mathbb{R}}", "\\bR"],
+  ["\\newcommand{\\set}[1]{\\{\\ #1 \\ \\}}", "\\set{x, y}"],
+  ["\\newcommand{\\op}[1]{\\mathop{\\text{#1}}}", "\\op{Hom}"],
+  ["\\newcommand{\\abs}[1]{\\left| #1 \\right|}", "\\abs{x - y}"],
+  ["\\newcommand{\\norm}[1]{\\left\\| #1 \\right\\|}", "\\norm{v}"],
+];
+
+const FORMULAS = [
+  "a^2 + b^2 = c^2",
+  "\\int_0^1 f(x) \\, dx = F(1) - F(0)",
+  "\\sum_{n=1}^\\infty \\frac{1}{n^2} = \\frac{\\pi^2}{6}",
+  "e^{i \\pi} + 1 = 0",
+  "\\lim_{n \\to \\infty} \\left(1 + \\frac{1}{n}\\right)^n = e",
+  "\\nabla \\cdot E = \\frac{\\rho}{\\epsilon_0}",
+];
+
+// Parse "math=0.2,tables=0" into a full mix, the unnamed kinds at their
+// defaults; throws on an unknown kind or a total above 1
+function parseMix(spec) {
+  const mix = { ...DEFAULT_MIX };
+  for (const part of (spec || "").split(",").filter(Boolean)) {
+    const [kind, value] = part.split("=");
+    if (!KINDS.includes(kind)) {
+      throw new Error("Unknown block kind: " + kind + " (expected one of " + KINDS.join(", ") + ")");
+    }
+    const share = Number(value);
+    if (!(share >= 0 && share <= 1)) throw new Error(`Bad share for ${kind}: ${value}`);
+    mix[kind] = share;
+  }
+  const total = KINDS.reduce((sum, kind) => sum + mix[kind], 0);
+  if (total > 1) throw new Error(`Block shares add up to ${total.toFixed(2)}, more than 1`);
+  return mix;
+}
+
+function generate({ lines = 1000, mix = DEFAULT_MIX, seed = 1 } = {}) {
+  const next = random(seed);
+  const pick = (list) => list[Math.floor(next() * list.length)];
+  const words = (n) => Array.from({ length: n }, () => pick(WORDS)).join(" ");
+  const labels = { theorem: [], equation: [] };
+  let section = 0;
+
+  const sentence = () => {
+    const text = words(6 + Math.floor(next() * 10));
+    return text[0].toUpperCase() + text.slice(1) + ".";
+  };
+
+  const reference = () => {
+    if (next() >= REF_RATE) return "";
+    if (labels.equation.length > 0 && next() < 0.5) return ` By [eqref ${pick(labels.equation)}], ${words(4)}.`;
+    if (labels.theorem.length > 0) return ` See Theorem [ref ${pick(labels.theorem)}].`;
+    return "";
+  };
+
+  const paragraph = () => {
+    const out = [];
+    const n = 2 + Math.floor(next() * 4);
+    for (let i = 0; i < n; i++) {
+      let line = sentence();
+      if (next() < 0.3) line += ` Here $${pick(FORMULAS)}$ holds.`;
+      if (next() < 0.2) line += ` This is [b ${words(2)}] and [i ${words(3)}].`;
+      out.push(line);
+    }
+    out[out.length - 1] += reference();
+    return out;
+  };
+
+  const blocks = {
+    math: () => {
+      const label = `eq-${labels.equation.length + 1}`;
+      labels.equation.push(label);
+      switch (Math.floor(next() * 3)) {
+        case 0:
+          return [`| equation label:${label}`, pick(FORMULAS)];
+        case 1:
+          return [`| aligned label:${label}`, `${pick(FORMULAS)} \\\\`, pick(FORMULAS)];
+        default:
+          labels.equation.pop();
+          return ["$$", pick(FORMULAS), "$$"];
+      }
+    },
+    lists: () => {
+      const marker = next() < 0.7 ? "-" : ".";
+      const out = [];
+      const n = 3 + Math.floor(next() * 5);
+      let depth = 0;
+      for (let i = 0; i < n; i++) {
+        if (i > 0) out.push("");
+        out.push("  ".repeat(depth) + marker + " " + words(4 + Math.floor(next() * 6)));
+        // Go one level deeper, stay, or come back up
+        const r = next();
+        depth = r < 0.3 && depth < 2 ? depth + 1 : r < 0.6 && depth > 0 ? depth - 1 : depth;
+      }
+      return out;
+    },
+    theorems: () => {
+      const kind = pick(["theorem", "lemma", "definition"]);
+      const label = `thm-${labels.theorem.length + 1}`;
+      labels.theorem.push(label);
+      return [`| ${kind} label:${label}`, sentence(), `For all $x$, $${pick(FORMULAS)}$.` + reference()];
+    },
+    tables: () => {
+      const out = ["| table lcr"];
+      const rows = 3 + Math.floor(next() * 4);
+      for (let i = 0; i < rows; i++) {
+        out.push(`${words(2)} & $${pick(FORMULAS)}$ & ${words(1)}`);
+      }
+      return out;
+    },
+    macros: () => [
+      `Let $x \\in ${pick(MACROS)[1]}$ and $${pick(MACROS)[1]} \\subset ${pick(MACROS)[1]}$.`,
+      sentence(),
+      "",
+      `$$`,
+      `${pick(MACROS)[1]} = ${pick(MACROS)[1]}`,
+      `$$`,
+    ],
+  };
+
+  const chooseKind = () => {
+    let r = next();
+    for (const kind of KINDS) {
+      if (r < mix[kind]) return kind;
+      r -= mix[kind];
+    }
+    return null;
+  };
+
+  const out = ["| title", `Synthetic document (${lines} lines)`, ""];
+  if (mix.macros > 0) {
+    out.push("|| mathmacros", ...MACROS.map(([definition]) => definition), "");
+  }
+  for (let b = 0; out.length < lines; b++) {
+    if (b % BLOCKS_PER_SECTION === 0) {
+      section++;
+      out.push(`# Section ${section}: ${words(3)}`, "");
+    }
+    const kind = chooseKind();
+    out.push(...(kind ? blocks[kind]() : paragraph()), "");
+  }
+  return out.join("\n");
+}
+
+// ---------------------------------------------------------------------------
+// Main
+// ---------------------------------------------------------------------------
+
+function usage() {
+  console.error("Usage: node generate.js --lines N [--mix KIND=SHARE,...] [--seed N] [--output FILE]");
+  console.error("");
+  console.error("Writes a synthetic Scripta document of about N lines (to stdout without");
+  console.error("--output). Block kinds: " + KINDS.join(", ") + "; the rest are paragraphs.");
+  console.error("Default mix: " + KINDS.map((kind) => `${kind}=${DEFAULT_MIX[kind]}`).join(","));
+  process.exit(1);
+}
+
+if (require.main === module) {
+  const argValue = (flag) => process.argv.find((_, i, a) => a[i - 1] === flag);
+  const lines = parseInt(argValue("--lines"), 10);
+  if (!(lines > 0)) usage();
+  try {
+    const text = generate({ lines, mix: parseMix(argValue("--mix")), seed: parseInt(argValue("--seed") || "1", 10) });
+    const output = argValue("--output");
+    if (output) {
+      fs.writeFileSync(output, text);
+      console.log(`Wrote: ${output} (${text.split("\n").length} lines)`);
+    } else {
+      process.stdout.write(text);
+    }
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { generate, parseMix, DEFAULT_MIX };
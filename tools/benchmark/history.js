@@ -0,0 +1,262 @@
+/**
+ * Benchmark history: results saved per commit, and reports of the trends.
+ *
+ * run.js --history writes its results to history/<date>-<commit>.json, with
+ * the commit it measured (`commit`, `commitDate`, `subject`, `dirty`) next
+ * to the usual fields. compare.sh does so for every ref it benchmarks, so
+ * history/ accumulates one file per measured commit; a rerun of the same
+ * commit replaces its file.
+ *
+ * compare.js --history reads the last N of them, oldest first, and
+ * writeReport renders any list of runs as a markdown (.md) or HTML report
+ * with one sparkline per document and operation.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { execFileSync } = require("child_process");
+
+const HISTORY_DIR = path.join(__dirname, "history");
+
+// ---------------------------------------------------------------------------
+// Runs
+// ---------------------------------------------------------------------------
+
+// The commit checked out in `dir`, or null outside a git checkout. Changes
+// to the benchmark's own files don't make it dirty: compare.sh copies the
+// current ones into every worktree.
+function gitInfo(dir) {
+  try {
+    const git = (...args) => execFileSync("git", args, { cwd: dir, encoding: "utf-8", stdio: ["ignore", "pipe", "ignore"] });
+    const [commit, commitDate, subject] = git("log", "-1", "--format=%H%n%cI%n%s").trim().split("\n");
+    const excluded = [":(top,exclude)tools/benchmark", ":(top,exclude)tools/toLaTeXExport/compiler.js"];
+    const dirty = git("status", "--porcelain", "--untracked-files=no", "--", ":(top)", ...excluded).trim() !== "";
+    return { commit, commitDate, subject, dirty };
+  } catch (_) {
+    return null;
+  }
+}
+
+// history/<commit date>-<short hash>[-dirty].json, so that a directory
+// listing is in commit order
+function historyFileName(run) {
+  const date = run.commitDate.slice(0, 19).replace(/[-:]/g, "").replace("T", "-");
+  return `${date}-${run.commit.slice(0, 12)}${run.dirty ? "-dirty" : ""}.json`;
+}
+
+function saveToHistory(run, dir = HISTORY_DIR) {
+  if (!run.commit) throw new Error("Not a git checkout: cannot record the run in the history");
+  fs.mkdirSync(dir, { recursive: true });
+  const file = path.join(dir, historyFileName(run));
+  fs.writeFileSync(file, JSON.stringify(run, null, 2));
+  return file;
+}
+
+// The last `last` runs in the history, oldest first
+function loadHistory(dir = HISTORY_DIR, last = 10) {
+  if (!fs.existsSync(dir)) return [];
+  return fs
+    .readdirSync(dir)
+    .filter((f) => f.endsWith(".json"))
+    .map((f) => JSON.parse(fs.readFileSync(path.join(dir, f), "utf-8")))
+    .sort((a, b) => (a.commitDate || a.timestamp).localeCompare(b.commitDate || b.timestamp))
+    .slice(-last);
+}
+
+// "optimize@1a2b3c4", or the branch alone for results without a commit
+function runLabel(run) {
+  const name = run.ref || run.branch;
+  return run.commit ? `${name}@${run.commit.slice(0, 7)}${run.dirty ? "+" : ""}` : name;
+}
+
+// ---------------------------------------------------------------------------
+// Series
+// ---------------------------------------------------------------------------
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// The rows of a run (operations per document, then keystroke traces under
+// the label "trace"), each with its samples where the run kept them
+function runRows(run) {
+  const traces = (run.traces || []).map((t) => ({ label: "trace", operation: t.name, stats: t.stats, samples: t.samples }));
+  return run.results.concat(traces);
+}
+
+// Every document and operation across the runs, with one median per run
+// (null where a run lacks the row), in first-seen order
+function series(runs) {
+  const rows = new Map();
+  for (const [i, run] of runs.entries()) {
+    for (const r of runRows(run)) {
+      const key = r.label + "\u0000" + r.operation;
+      if (!rows.has(key)) rows.set(key, { label: r.label, operation: r.operation, medians: runs.map(() => null) });
+      rows.get(key).medians[i] = r.samples ? median(r.samples) : r.stats.median;
+    }
+  }
+  // Keep each document's rows together, even those only later runs have
+  const labels = [...new Set([...rows.values()].map((r) => r.label))];
+  return [...rows.values()].sort((a, b) => labels.indexOf(a.label) - labels.indexOf(b.label));
+}
+
+// ---------------------------------------------------------------------------
+// Sparklines
+// ---------------------------------------------------------------------------
+
+const BARS = "▁▂▃▄▅▆▇█";
+
+// One block character per value, scaled between the row's min and max; a
+// space where a run has no value
+function textSparkline(values) {
+  const present = values.filter((v) => v !== null);
+  const [lo, hi] = [Math.min(...present), Math.max(...present)];
+  return values
+    .map((v) => {
+      if (v === null) return " ";
+      const level = hi === lo ? 3 : Math.round(((v - lo) / (hi - lo)) * (BARS.length - 1));
+      return BARS[level];
+    })
+    .join("");
+}
+
+// An inline SVG line, higher is slower, with the last value marked; gaps
+// where a run has no value
+function svgSparkline(values, width = 120, height = 24) {
+  const present = values.filter((v) => v !== null);
+  const [lo, hi] = [Math.min(...present), Math.max(...present)];
+  const x = (i) => (values.length === 1 ? width / 2 : 2 + (i * (width - 4)) / (values.length - 1));
+  const y = (v) => (hi === lo ? height / 2 : height - 2 - ((v - lo) * (height - 4)) / (hi - lo));
+
+  const segments = [[]];
+  for (const [i, v] of values.entries()) {
+    if (v === null) segments.push([]);
+    else segments[segments.length - 1].push(`${x(i).toFixed(1)},${y(v).toFixed(1)}`);
+  }
+  const lines = segments
+    .filter((s) => s.length > 0)
+    .map((s) => `<polyline points="${s.join(" ")}" fill="none" stroke="currentColor" stroke-width="1.5"/>`);
+  const last = values.length - 1;
+  const dot = values[last] !== null ? `<circle cx="${x(last).toFixed(1)}" cy="${y(values[last]).toFixed(1)}" r="2.5"/>` : "";
+  return `<svg class="spark" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">${lines.join("")}${dot}</svg>`;
+}
+
+// ---------------------------------------------------------------------------
+// Reports
+// ---------------------------------------------------------------------------
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+const formatMs = (ms) => (ms === null ? "—" : ms.toFixed(2));
+
+// Change from the first run that has the row to the last, as a percentage
+function change(medians) {
+  const present = medians.filter((v) => v !== null);
+  if (present.length < 2) return "—";
+  const pct = (present[present.length - 1] / present[0] - 1) * 100;
+  return (pct >= 0 ? "+" : "") + pct.toFixed(1) + "%";
+}
+
+// `verdicts` maps "label\0operation" to the latest-vs-previous verdict text
+// (e.g. "slower (p=0.003)") from compare.js
+function renderMarkdown(runs, rows, verdicts) {
+  const out = ["# Parser benchmark history", ""];
+  for (const [i, run] of runs.entries()) {
+    const when = run.commitDate ? run.commitDate.slice(0, 10) : run.timestamp.slice(0, 10);
+    out.push(`${i + 1}. \`${runLabel(run)}\` ${when}${run.subject ? " — " + run.subject : ""}`);
+  }
+  for (const label of [...new Set(rows.map((r) => r.label))]) {
+    out.push("", `## ${label}`, "", "| Operation | Trend | First (ms) | Last (ms) | Change | Latest |", "|---|---|---:|---:|---:|---|");
+    for (const r of rows.filter((row) => row.label === label)) {
+      const first = r.medians.find((v) => v !== null);
+      const last = r.medians[r.medians.length - 1];
+      const verdict = verdicts.get(r.label + "\u0000" + r.operation) || "";
+      out.push(`| ${r.operation} | \`${textSparkline(r.medians)}\` | ${formatMs(first)} | ${formatMs(last)} | ${change(r.medians)} | ${verdict} |`);
+    }
+  }
+  out.push("", "Medians per run, oldest first. Latest: the last run against the one before it (Mann-Whitney).", "");
+  return out.join("\n");
+}
+
+const STYLE = `
+body { font-family: system-ui, sans-serif; margin: 2em; color: #222; }
+table { border-collapse: collapse; margin-bottom: 1.5em; }
+th, td { padding: 0.25em 0.75em; border-bottom: 1px solid #ddd; text-align: left; }
+td.num { text-align: right; font-variant-numeric: tabular-nums; }
+.spark { color: #3367d6; fill: #3367d6; vertical-align: middle; }
+.slower { color: #c5221f; }
+.faster { color: #188038; }
+ol { color: #555; }
+`;
+
+function renderHtml(runs, rows, verdicts) {
+  const legend = runs
+    .map((run) => {
+      const when = run.commitDate ? run.commitDate.slice(0, 10) : run.timestamp.slice(0, 10);
+      return `<li><code>${escapeHtml(runLabel(run))}</code> ${escapeHtml(when)}${run.subject ? " — " + escapeHtml(run.subject) : ""}</li>`;
+    })
+    .join("\n");
+  const sections = [...new Set(rows.map((r) => r.label))].map((label) => {
+    const body = rows
+      .filter((r) => r.label === label)
+      .map((r) => {
+        const first = r.medians.find((v) => v !== null);
+        const last = r.medians[r.medians.length - 1];
+        const verdict = verdicts.get(r.label + "\u0000" + r.operation) || "";
+        const cls = verdict.startsWith("slower") ? "slower" : verdict.startsWith("faster") ? "faster" : "";
+        const title = r.medians.map((v, i) => `${i + 1}: ${formatMs(v)} ms`).join("\n");
+        return `<tr><td>${escapeHtml(r.operation)}</td><td title="${escapeHtml(title)}">${svgSparkline(r.medians)}</td><td class="num">${formatMs(first)}</td><td class="num">${formatMs(last)}</td><td class="num">${change(r.medians)}</td><td class="${cls}">${escapeHtml(verdict)}</td></tr>`;
+      });
+    return `<h2>${escapeHtml(label)}</h2>
+<table>
+<tr><th>Operation</th><th>Trend</th><th>First (ms)</th><th>Last (ms)</th><th>Change</th><th>Latest</th></tr>
+${body.join("\n")}
+</table>`;
+  });
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Parser benchmark history</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<h1>Parser benchmark history</h1>
+<p>Generated ${escapeHtml(new Date().toISOString())}. Medians per run, oldest first; Latest compares the last run with the one before it (Mann-Whitney).</p>
+<ol>
+${legend}
+</ol>
+${sections.join("\n")}
+</body>
+</html>
+`;
+}
+
+// Markdown for a .md path, HTML otherwise
+function writeReport(runs, outputPath, verdicts = new Map()) {
+  const rows = series(runs);
+  const text = outputPath.endsWith(".md") ? renderMarkdown(runs, rows, verdicts) : renderHtml(runs, rows, verdicts);
+  fs.writeFileSync(outputPath, text);
+  return outputPath;
+}
+
+module.exports = {
+  HISTORY_DIR,
+  gitInfo,
+  saveToHistory,
+  loadHistory,
+  runLabel,
+  runRows,
+  series,
+  median,
+  textSparkline,
+  writeReport,
+};
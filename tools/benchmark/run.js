@@ -3,20 +3,61 @@
 /**
  * Benchmark driver for Scripta parse pipeline.
  *
- * Sends commands to the Elm worker via ports and measures round-trip time.
+ * Sends commands to the Elm worker through compiler.js (the same request
+ * protocol as the LaTeX export tools) and measures round-trip time.
  * Outputs JSON results and a human-readable table.
  *
+ * Workers that support the phase:* commands (WorkerOptimize) are also timed
+ * stage by stage: primitive blocks, forest, expressions, accumulator, and
+ * rendering the Html tree.
+ *
+ * Besides the fixed operations, it replays the keystroke traces in traces/
+ * (see traces.js): one parse per keystroke, seeded from the unedited
+ * document, reported as a per-keystroke latency distribution.
+ *
  * Usage:
- *   node run.js                   # run all test documents
+ *   node run.js                   # run all test documents and traces
  *   node run.js --iterations 50   # custom iteration count
+ *   node run.js --traces DIR      # replay the traces in DIR instead
+ *   node run.js --trace-repeat 5  # replay each trace 5 times
+ *   node run.js --no-traces       # skip the traces
+ *   node run.js --sweep           # scaling curve on generated documents
+ *   node run.js --sweep --sizes 1000,10000 --mix math=0.5 --seed 2
+ *   node run.js --sweep --budget 120000     # ms per request (default 30 s)
+ *   node run.js --label v2.1      # name the run (results-v2.1.json)
+ *   node run.js --history         # also record it in history/ (history.js)
+ *   node run.js --history --history-dir DIR
+ *
+ * --sweep replaces the test documents with documents from generate.js of
+ * each size (default 1k to 100k lines), times the parse at each, and writes
+ * scaling-<branch>.json and .csv with the fitted growth exponent between
+ * neighbouring sizes: about 1 is linear, 2 quadratic. A parse runs in this
+ * thread and cannot be interrupted, so an operation is not run at the larger
+ * sizes once one request of it takes, or would take at the next size, longer
+ * than the --budget.
  */
 
 const fs = require("fs");
 const path = require("path");
 const { performance } = require("perf_hooks");
+const { createCompiler } = require("../toLaTeXExport/compiler");
+const { applyEdit, loadTraces, traceDocument, TRACES_DIR } = require("./traces");
+const { generate, parseMix } = require("./generate");
+const { gitInfo, saveToHistory, HISTORY_DIR } = require("./history");
 
 const DOCS_DIR = path.join(__dirname, "..", "..", "tests", "toLaTeXExportTestDocs");
-const ITERATIONS = parseInt(process.argv.find((_, i, a) => a[i - 1] === "--iterations") || "100", 10);
+const argValue = (flag) => process.argv.find((_, i, a) => a[i - 1] === flag);
+const ITERATIONS = parseInt(argValue("--iterations") || "100", 10);
+const TRACE_REPEAT = parseInt(argValue("--trace-repeat") || "1", 10);
+const TRACES = process.argv.includes("--no-traces") ? null : argValue("--traces") || TRACES_DIR;
+const LABEL = argValue("--label");
+const HISTORY = process.argv.includes("--history") ? argValue("--history-dir") || HISTORY_DIR : null;
+const SWEEP = process.argv.includes("--sweep");
+const SWEEP_SIZES = (argValue("--sizes") || "1000,2000,5000,10000,20000,50000,100000").split(",").map(Number);
+// Large documents take seconds per parse; sweep with fewer iterations by default
+const SWEEP_ITERATIONS = parseInt(argValue("--iterations") || "5", 10);
+// Longest a single request may take before the sweep stops going larger
+const SWEEP_BUDGET = parseInt(argValue("--budget") || "30000", 10);
 
 const TEST_DOCS = [
   { label: "small",  file: "index-test.scripta" },
@@ -47,26 +88,59 @@ function stats(times) {
   };
 }
 
-function sendCommand(app, command, sourceText) {
-  return new Promise((resolve) => {
-    const handler = (result) => {
-      app.ports.sendResult.unsubscribe(handler);
-      resolve(result);
-    };
-    app.ports.sendResult.subscribe(handler);
-    app.ports.receiveCommand.send({ command, sourceText });
-  });
-}
-
-async function benchmarkOperation(app, command, sourceText, iterations) {
+async function benchmarkOperation(compiler, command, sourceText, iterations) {
   const times = [];
   for (let i = 0; i < iterations; i++) {
     const start = performance.now();
-    await sendCommand(app, command, sourceText);
+    await compiler.request(command, sourceText);
     const end = performance.now();
     times.push(end - start);
   }
-  return stats(times);
+  return measurement(times);
+}
+
+// Summary statistics plus the raw times, which compare.js resamples
+function measurement(times) {
+  return { stats: stats(times), samples: times };
+}
+
+// ---------------------------------------------------------------------------
+// Pipeline phases
+// ---------------------------------------------------------------------------
+
+// In pipeline order; each works on what the previous one left in the worker
+const PHASES = [
+  { command: "phase:primitiveBlocks", label: "PrimBlocks" },
+  { command: "phase:forest", label: "Forest" },
+  { command: "phase:expressions", label: "Expressions" },
+  { command: "phase:accumulate", label: "Accumulate" },
+  { command: "phase:render", label: "Render" },
+];
+
+// The phases the worker answers, in order. An older worker answers the
+// phase commands it lacks (all of them, or phase:render where its sources
+// have no V3.Compiler.renderStrict) with "unknown command".
+async function supportedPhases(compiler) {
+  const phases = [];
+  for (const phase of PHASES) {
+    if (await compiler.request(phase.command, "").then(() => true, () => false)) phases.push(phase);
+  }
+  return phases;
+}
+
+// Time every phase in `phases`, `iterations` times over. Only the first phase
+// reads the source text, so the others are sent without it to keep the round
+// trip small.
+async function benchmarkPhases(compiler, phases, sourceText, iterations) {
+  const times = phases.map(() => []);
+  for (let i = 0; i < iterations; i++) {
+    for (const [p, phase] of phases.entries()) {
+      const start = performance.now();
+      await compiler.request(phase.command, p === 0 ? sourceText : "");
+      times[p].push(performance.now() - start);
+    }
+  }
+  return times.map(measurement);
 }
 
 function editDocument(sourceText, lineNumber) {
@@ -77,6 +151,57 @@ function editDocument(sourceText, lineNumber) {
   return lines.join("\n");
 }
 
+// ---------------------------------------------------------------------------
+// Keystroke traces
+// ---------------------------------------------------------------------------
+
+// Upper bounds (ms) of the latency histogram buckets; the last is open
+const HISTOGRAM_BOUNDS = [1, 2, 5, 10, 20, 50, 100];
+
+function histogram(times) {
+  const counts = new Array(HISTOGRAM_BOUNDS.length + 1).fill(0);
+  for (const t of times) {
+    const bucket = HISTOGRAM_BOUNDS.findIndex((bound) => t < bound);
+    counts[bucket < 0 ? HISTOGRAM_BOUNDS.length : bucket]++;
+  }
+  return counts;
+}
+
+function bucketLabel(i) {
+  if (i === 0) return `<${HISTOGRAM_BOUNDS[0]}ms`;
+  if (i === HISTOGRAM_BOUNDS.length) return `>=${HISTOGRAM_BOUNDS[i - 1]}ms`;
+  return `${HISTOGRAM_BOUNDS[i - 1]}-${HISTOGRAM_BOUNDS[i]}ms`;
+}
+
+function latencyStats(times) {
+  const sorted = [...times].sort((a, b) => a - b);
+  return {
+    ...stats(times),
+    p90: sorted[Math.floor(sorted.length * 0.9)],
+    p99: sorted[Math.floor(sorted.length * 0.99)],
+  };
+}
+
+// Time one parse per keystroke of the trace, `repeat` times over. The
+// optimize worker parses incrementally from a cache seeded with the
+// unedited document, as the editor does; the main worker can only
+// re-parse the whole text.
+async function replayTrace(compiler, trace, sourceText, isOptimize, repeat) {
+  const command = isOptimize ? "incrementalParse" : "fullParse";
+  const times = [];
+  for (let r = 0; r < repeat; r++) {
+    if (isOptimize) await compiler.request("seedCache", sourceText);
+    let text = sourceText;
+    for (const edit of trace.edits) {
+      text = applyEdit(text, edit);
+      const start = performance.now();
+      await compiler.request(command, text);
+      times.push(performance.now() - start);
+    }
+  }
+  return times;
+}
+
 function formatMs(ms) {
   return ms.toFixed(2).padStart(8);
 }
@@ -116,6 +241,227 @@ function printTable(results) {
   console.log(sep);
 }
 
+// Mean time per phase, with its share of the whole pipeline
+function printPhaseTable(results, phases) {
+  const docs = [...new Set(results.map((r) => r.label))];
+  const header = [
+    "Document".padEnd(10),
+    "Lines".padStart(6),
+    ...phases.map((phase) => phase.label.padStart(15)),
+    "Total(ms)".padStart(10),
+  ].join(" | ");
+
+  const sep = "-".repeat(header.length);
+
+  console.log("\nPer-phase breakdown (mean ms, share of total)\n" + sep);
+  console.log(header);
+  console.log(sep);
+  for (const label of docs) {
+    const rows = phases.map((phase) => results.find((r) => r.label === label && r.operation === phase.command));
+    const total = rows.reduce((sum, r) => sum + r.stats.mean, 0);
+    const row = [
+      label.padEnd(10),
+      String(rows[0].lines).padStart(6),
+      ...rows.map((r) => `${r.stats.mean.toFixed(2)} (${Math.round((100 * r.stats.mean) / total)}%)`.padStart(15)),
+      formatMs(total).padStart(10),
+    ].join(" | ");
+    console.log(row);
+  }
+  console.log(sep);
+}
+
+function printTraceTable(traces) {
+  const header = [
+    "Trace".padEnd(14),
+    "Keys".padStart(6),
+    "Command".padEnd(16),
+    "Mean(ms)".padStart(10),
+    "Median".padStart(10),
+    "P90".padStart(10),
+    "P95".padStart(10),
+    "P99".padStart(10),
+    "Max".padStart(10),
+  ].join(" | ");
+
+  const sep = "-".repeat(header.length);
+
+  console.log("\nPer-keystroke latency\n" + sep);
+  console.log(header);
+  console.log(sep);
+  for (const t of traces) {
+    const row = [
+      t.name.padEnd(14),
+      String(t.keystrokes).padStart(6),
+      t.command.padEnd(16),
+      formatMs(t.stats.mean),
+      formatMs(t.stats.median),
+      formatMs(t.stats.p90),
+      formatMs(t.stats.p95),
+      formatMs(t.stats.p99),
+      formatMs(t.stats.max),
+    ].join(" | ");
+    console.log(row);
+  }
+  console.log(sep);
+
+  const labels = HISTOGRAM_BOUNDS.map((_, i) => bucketLabel(i)).concat(bucketLabel(HISTOGRAM_BOUNDS.length));
+  const histHeader = ["Trace".padEnd(14), ...labels.map((l) => l.padStart(8))].join(" | ");
+  console.log("\nKeystrokes per latency bucket\n" + "-".repeat(histHeader.length));
+  console.log(histHeader);
+  console.log("-".repeat(histHeader.length));
+  for (const t of traces) {
+    console.log([t.name.padEnd(14), ...t.histogram.map((n) => String(n).padStart(8))].join(" | "));
+  }
+  console.log("-".repeat(histHeader.length));
+}
+
+// ---------------------------------------------------------------------------
+// Scaling sweep
+// ---------------------------------------------------------------------------
+
+// Above this growth exponent between two sizes, a curve is flagged
+const SUPERLINEAR = 1.5;
+
+// Growth exponent of the median time between each pair of neighbouring sizes,
+// from t ~ n^k: k = log(t2 / t1) / log(n2 / n1)
+function exponents(points) {
+  const out = [];
+  const operations = [...new Set(points.map((p) => p.operation))];
+  for (const operation of operations) {
+    const curve = points.filter((p) => p.operation === operation);
+    for (let i = 1; i < curve.length; i++) {
+      const [a, b] = [curve[i - 1], curve[i]];
+      const exponent = Math.log(b.stats.median / a.stats.median) / Math.log(b.lines / a.lines);
+      out.push({ operation, from: a.lines, to: b.lines, exponent });
+    }
+  }
+  return out;
+}
+
+// The median time of a curve's operation at `lines`, extrapolated from its
+// last point with its latest growth exponent (at least linear)
+function predictMedian(curve, lines) {
+  const last = curve[curve.length - 1];
+  const fits = exponents(curve);
+  const k = fits.length > 0 ? Math.max(1, fits[fits.length - 1].exponent) : 1;
+  return last.stats.median * Math.pow(lines / last.lines, k);
+}
+
+function printSweepTable(points, fits) {
+  const operations = [...new Set(points.map((p) => p.operation))];
+  const sizes = [...new Set(points.map((p) => p.lines))];
+  const header = ["Lines".padStart(8), ...operations.map((op) => op.padStart(22))].join(" | ");
+  const sep = "-".repeat(header.length);
+
+  console.log("\nScaling (median ms; growth exponent from the previous size)\n" + sep);
+  console.log(header);
+  console.log(sep);
+  for (const lines of sizes) {
+    const cells = operations.map((operation) => {
+      const point = points.find((p) => p.lines === lines && p.operation === operation);
+      if (!point) return "—".padStart(22);
+      const fit = fits.find((f) => f.to === lines && f.operation === operation);
+      const exponent = fit ? ` (n^${fit.exponent.toFixed(2)}${fit.exponent > SUPERLINEAR ? "!" : ""})` : "";
+      return (point.stats.median.toFixed(2) + exponent).padStart(22);
+    });
+    console.log([String(lines).padStart(8), ...cells].join(" | "));
+  }
+  console.log(sep);
+
+  const flagged = fits.filter((f) => f.exponent > SUPERLINEAR);
+  for (const f of flagged) {
+    console.log(`Superlinear: ${f.operation} grows as n^${f.exponent.toFixed(2)} from ${f.from} to ${f.to} lines`);
+  }
+}
+
+async function sweep(compiler, { branchName, isOptimize, phases }) {
+  const mix = parseMix(argValue("--mix"));
+  const seed = parseInt(argValue("--seed") || "1", 10);
+  const points = [];
+  // Operations that are no longer run, with why: one request of theirs went,
+  // or would go at the next size, over the budget
+  const stopped = new Map();
+
+  for (const [i, lines] of SWEEP_SIZES.entries()) {
+    const sourceText = generate({ lines, mix, seed });
+    const point = (operation, measured) => points.push({ lines, chars: sourceText.length, operation, ...measured });
+    console.log(`\nSweep: ${lines} lines (${sourceText.length} characters)...`);
+
+    // Run `measure` for `operations` unless they were stopped, then stop
+    // them if one is over budget
+    const attempt = async (operations, measure) => {
+      if (operations.some((operation) => stopped.has(operation))) return;
+      await measure();
+      const next = SWEEP_SIZES[i + 1];
+      for (const operation of operations) {
+        const curve = points.filter((p) => p.operation === operation);
+        const { median } = curve[curve.length - 1].stats;
+        const predicted = next ? predictMedian(curve, next) : 0;
+        const reason =
+          median > SWEEP_BUDGET ? `${operation} took ${median.toFixed(0)} ms at ${lines} lines`
+          : predicted > SWEEP_BUDGET ? `${operation} would take about ${predicted.toFixed(0)} ms at ${next} lines`
+          : null;
+        if (reason) {
+          console.warn(`  ${reason}, over the ${SWEEP_BUDGET} ms budget: not running it at larger sizes`);
+          for (const o of operations) stopped.set(o, reason);
+          return;
+        }
+      }
+    };
+
+    await attempt(["fullParse"], async () => {
+      console.log(`  fullParse x ${SWEEP_ITERATIONS}...`);
+      point("fullParse", await benchmarkOperation(compiler, "fullParse", sourceText, SWEEP_ITERATIONS));
+    });
+
+    // One keystroke in the middle of the document, from a warm cache
+    if (isOptimize) {
+      await attempt(["incrParse-edited"], async () => {
+        const mid = sourceText.indexOf("\n", Math.floor(sourceText.length / 2));
+        const edited = applyEdit(sourceText, [mid, 0, "x"]);
+        await compiler.request("seedCache", sourceText);
+        console.log(`  incrParse-edited x ${SWEEP_ITERATIONS}...`);
+        point("incrParse-edited", await benchmarkOperation(compiler, "incrementalParse", edited, SWEEP_ITERATIONS));
+      });
+    }
+
+    // Each phase needs the ones before it, so they stop together
+    if (phases.length > 0) {
+      await attempt(phases.map((phase) => phase.command), async () => {
+        console.log(`  phases x ${SWEEP_ITERATIONS}...`);
+        const phaseTimes = await benchmarkPhases(compiler, phases, sourceText, SWEEP_ITERATIONS);
+        for (const [p, phase] of phases.entries()) point(phase.command, phaseTimes[p]);
+      });
+    }
+  }
+
+  const fits = exponents(points);
+  printSweepTable(points, fits);
+  for (const [operation, reason] of stopped) console.log(`Stopped ${operation}: ${reason}`);
+
+  const output = {
+    branch: branchName,
+    iterations: SWEEP_ITERATIONS,
+    budget: SWEEP_BUDGET,
+    timestamp: new Date().toISOString(),
+    mix,
+    seed,
+    points,
+    exponents: fits,
+    stopped: [...stopped].map(([operation, reason]) => ({ operation, reason })),
+  };
+  const jsonPath = path.join(__dirname, `scaling-${branchName}.json`);
+  fs.writeFileSync(jsonPath, JSON.stringify(output, null, 2));
+  console.log(`\nJSON results written to: ${jsonPath}`);
+
+  const csv = ["lines,chars,operation,median,mean,p95"].concat(
+    points.map((p) => [p.lines, p.chars, p.operation, p.stats.median, p.stats.mean, p.stats.p95].join(","))
+  );
+  const csvPath = path.join(__dirname, `scaling-${branchName}.csv`);
+  fs.writeFileSync(csvPath, csv.join("\n") + "\n");
+  console.log(`CSV written to: ${csvPath}`);
+}
+
 async function main() {
   // Load the compiled Elm worker
   const workerPath = path.join(__dirname, "worker.js");
@@ -126,22 +472,38 @@ async function main() {
 
   const { Elm } = require(workerPath);
 
-  // Detect which worker we have based on the module name
-  const workerModule = Elm.WorkerMain || Elm.WorkerOptimize;
+  // compare.sh builds either variant as module Worker
+  const workerModule = Elm.WorkerMain || Elm.WorkerOptimize || Elm.Worker;
   if (!workerModule) {
-    console.error("Could not find WorkerMain or WorkerOptimize module in worker.js");
+    console.error("Could not find a WorkerMain, WorkerOptimize or Worker module in worker.js");
     process.exit(1);
   }
 
-  const isOptimize = !!Elm.WorkerOptimize;
+  const compiler = createCompiler({ worker: workerModule });
+  const results = [];
+
+  // Only WorkerOptimize has the incremental commands; WorkerMain answers
+  // "unknown command"
+  const isOptimize = await compiler.request("seedCache", "").then(() => true, () => false);
   const branchName = isOptimize ? "optimize" : "main";
 
+  const phases = await supportedPhases(compiler);
+  if (phases.length === 0) {
+    console.log("Worker has no phase:* commands; skipping the per-phase breakdown");
+  } else if (phases.length < PHASES.length) {
+    const missing = PHASES.filter((phase) => !phases.includes(phase)).map((phase) => phase.command);
+    console.log(`Worker has no ${missing.join(", ")}; leaving it out of the per-phase breakdown`);
+  }
+
+  if (SWEEP) {
+    console.log(`Scaling sweep: branch=${branchName}, iterations=${SWEEP_ITERATIONS}, sizes=${SWEEP_SIZES.join(",")}`);
+    await sweep(compiler, { branchName, isOptimize, phases });
+    process.exit(0);
+  }
+
   console.log(`Benchmark: branch=${branchName}, iterations=${ITERATIONS}`);
   console.log(`Documents dir: ${DOCS_DIR}`);
 
-  const app = workerModule.init();
-  const results = [];
-
   for (const doc of TEST_DOCS) {
     const sourceText = loadDocument(doc.file);
     if (!sourceText) {
@@ -154,50 +516,90 @@ async function main() {
 
     // 1. Full parse
     console.log(`  fullParse x ${ITERATIONS}...`);
-    const fullStats = await benchmarkOperation(app, "fullParse", sourceText, ITERATIONS);
-    results.push({ label: doc.label, file: doc.file, lines, operation: "fullParse", stats: fullStats });
+    const full = await benchmarkOperation(compiler, "fullParse", sourceText, ITERATIONS);
+    results.push({ label: doc.label, file: doc.file, lines, operation: "fullParse", ...full });
 
     // 2. Incremental parse (optimize branch only)
     if (isOptimize) {
       // Seed the cache first
       console.log("  seedCache...");
-      await sendCommand(app, "seedCache", sourceText);
+      await compiler.request("seedCache", sourceText);
 
       // Incremental parse with warm cache (same document)
       console.log(`  incrementalParse x ${ITERATIONS}...`);
-      const incrStats = await benchmarkOperation(app, "incrementalParse", sourceText, ITERATIONS);
-      results.push({ label: doc.label, file: doc.file, lines, operation: "incrementalParse", stats: incrStats });
+      const incr = await benchmarkOperation(compiler, "incrementalParse", sourceText, ITERATIONS);
+      results.push({ label: doc.label, file: doc.file, lines, operation: "incrementalParse", ...incr });
 
       // 3. Cached forest: return stored forest without re-parsing
       // Measures the "skip parse on click/non-edit interaction" optimization
       console.log(`  cachedForest x ${ITERATIONS}...`);
-      const cachedStats = await benchmarkOperation(app, "cachedForest", sourceText, ITERATIONS);
-      results.push({ label: doc.label, file: doc.file, lines, operation: "cachedForest", stats: cachedStats });
+      const cached = await benchmarkOperation(compiler, "cachedForest", sourceText, ITERATIONS);
+      results.push({ label: doc.label, file: doc.file, lines, operation: "cachedForest", ...cached });
 
       // 4. Edit simulation: modify line 10, seed, then incremental parse
       const edited = editDocument(sourceText, 10);
       console.log("  seedCache (edited)...");
-      await sendCommand(app, "seedCache", sourceText); // seed with original
+      await compiler.request("seedCache", sourceText); // seed with original
       console.log(`  incrementalParse (edited) x ${ITERATIONS}...`);
-      const editStats = await benchmarkOperation(app, "incrementalParse", edited, ITERATIONS);
-      results.push({ label: doc.label, file: doc.file, lines, operation: "incrParse-edited", stats: editStats });
+      const edit = await benchmarkOperation(compiler, "incrementalParse", edited, ITERATIONS);
+      results.push({ label: doc.label, file: doc.file, lines, operation: "incrParse-edited", ...edit });
+    }
+
+    // 5. Each phase of the pipeline on its own
+    if (phases.length > 0) {
+      console.log(`  phases x ${ITERATIONS}...`);
+      const phaseTimes = await benchmarkPhases(compiler, phases, sourceText, ITERATIONS);
+      for (const [p, phase] of phases.entries()) {
+        results.push({ label: doc.label, file: doc.file, lines, operation: phase.command, ...phaseTimes[p] });
+      }
+    }
+  }
+
+  // 6. Keystroke traces
+  const traces = [];
+  for (const trace of TRACES ? loadTraces(TRACES) : []) {
+    const { text, reason } = traceDocument(trace);
+    if (!text) {
+      console.warn(`Skipping trace ${trace.name}: ${reason}`);
+      continue;
     }
+    const command = isOptimize ? "incrementalParse" : "fullParse";
+    console.log(`\nReplaying trace ${trace.name} (${trace.edits.length} keystrokes on ${trace.document}) x ${TRACE_REPEAT}...`);
+    const times = await replayTrace(compiler, trace, text, isOptimize, TRACE_REPEAT);
+    traces.push({
+      name: trace.name,
+      document: trace.document,
+      command,
+      keystrokes: trace.edits.length,
+      stats: latencyStats(times),
+      histogram: histogram(times),
+      samples: times,
+    });
   }
 
   // Print human-readable table
-  printTable(results);
+  const isPhase = (r) => PHASES.some((phase) => phase.command === r.operation);
+  printTable(results.filter((r) => !isPhase(r)));
+  if (phases.length > 0) printPhaseTable(results.filter(isPhase), phases);
+  if (traces.length > 0) printTraceTable(traces);
 
   // Output JSON
   const output = {
     branch: branchName,
+    ref: LABEL || null,
+    ...gitInfo(__dirname),
     iterations: ITERATIONS,
     timestamp: new Date().toISOString(),
     results,
+    traceRepeat: TRACE_REPEAT,
+    histogramBounds: HISTOGRAM_BOUNDS,
+    traces,
   };
 
-  const jsonPath = path.join(__dirname, `results-${branchName}.json`);
+  const jsonPath = path.join(__dirname, `results-${(LABEL || branchName).replace(/[^\w.-]/g, "-")}.json`);
   fs.writeFileSync(jsonPath, JSON.stringify(output, null, 2));
   console.log(`\nJSON results written to: ${jsonPath}`);
+  if (HISTORY) console.log(`Recorded in the history: ${saveToHistory(output, HISTORY)}`);
 
   // Also write to stdout-friendly format
   console.log("\n--- JSON ---");
@@ -0,0 +1,242 @@
+#!/usr/bin/env node
+
+/**
+ * Keystroke traces for the parse benchmark.
+ *
+ * A trace is a typing session on a test document, one edit per keystroke:
+ *
+ *   { "name": "equation",
+ *     "description": "Typing terms into a | equation block",
+ *     "document": "welcome.scripta",
+ *     "documentLength": 13970,
+ *     "edits": [ [812, 0, "+"], [813, 0, " "], [813, 1, ""], ... ] }
+ *
+ * Each edit is [offset, deleted, inserted]: at character `offset` of the
+ * text as the previous edits left it, remove `deleted` characters and insert
+ * the string `inserted`. A recorded trace (e.g. from the editor's change
+ * events) can be dropped into traces/ as is. `documentLength` guards
+ * against replaying a trace on a different version of its document.
+ *
+ * run.js replays every trace in traces/: it seeds the worker's cache with
+ * the document, then times one incremental parse per edit.
+ *
+ * Usage:
+ *   node traces.js            Synthesize the built-in traces into traces/
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const DOCS_DIR = path.join(__dirname, "..", "..", "tests", "toLaTeXExportTestDocs");
+const TRACES_DIR = path.join(__dirname, "traces");
+
+// ---------------------------------------------------------------------------
+// Traces
+// ---------------------------------------------------------------------------
+
+function applyEdit(text, [offset, deleted, inserted]) {
+  return text.slice(0, offset) + inserted + text.slice(offset + deleted);
+}
+
+// Every trace in `dir`, by file name; throws on a malformed one
+function loadTraces(dir = TRACES_DIR) {
+  if (!fs.existsSync(dir)) return [];
+  return fs
+    .readdirSync(dir)
+    .filter((f) => f.endsWith(".json"))
+    .sort()
+    .map((f) => {
+      const trace = JSON.parse(fs.readFileSync(path.join(dir, f), "utf-8"));
+      if (!trace.document || !Array.isArray(trace.edits)) {
+        throw new Error("Malformed trace " + f + " (needs document and edits)");
+      }
+      return { name: path.basename(f, ".json"), ...trace };
+    });
+}
+
+// The text of a trace's document, or null with the reason if it cannot be
+// replayed: the document is missing, has changed, or an edit falls outside
+// the text
+function traceDocument(trace, docsDir = DOCS_DIR) {
+  const docPath = path.join(docsDir, trace.document);
+  if (!fs.existsSync(docPath)) {
+    return { text: null, reason: "document not found: " + docPath };
+  }
+  const text = fs.readFileSync(docPath, "utf-8");
+  if (trace.documentLength !== undefined && trace.documentLength !== text.length) {
+    return {
+      text: null,
+      reason: `${trace.document} has ${text.length} characters, the trace was made for ${trace.documentLength} (run \`make traces\`)`,
+    };
+  }
+  let current = text;
+  for (const [i, [offset, deleted]] of trace.edits.entries()) {
+    if (offset < 0 || offset + deleted > current.length) {
+      return { text: null, reason: `edit ${i + 1} is outside the text` };
+    }
+    current = applyEdit(current, trace.edits[i]);
+  }
+  return { text, reason: null };
+}
+
+// ---------------------------------------------------------------------------
+// Synthesis
+// ---------------------------------------------------------------------------
+
+// Deterministic pseudo-random numbers in [0, 1) (mulberry32), so that the
+// synthesized traces only change when a session does
+function random(seed) {
+  let a = seed;
+  return () => {
+    a = (a + 0x6d2b79f5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const TYPO_RATE = 0.04;
+const NEIGHBOURS = "qwertyuiopasdfghjklzxcvbnm";
+
+// Replay a session's actions against the document, one edit per keystroke:
+//   { find: "text" }            put the cursor after the first "text" (after
+//                               the cursor, if there is one)
+//   { find: "text", before: true }  ... before it
+//   { type: "text" }            type it, with the odd typo fixed by backspace
+//   { backspace: n }            delete n characters before the cursor
+function synthesize(session, text) {
+  const next = random(session.seed);
+  const edits = [];
+  let current = text;
+  let cursor = 0;
+  const edit = (e) => {
+    edits.push(e);
+    current = applyEdit(current, e);
+  };
+
+  for (const action of session.actions) {
+    if (action.find !== undefined) {
+      const at = current.indexOf(action.find, cursor);
+      if (at < 0) throw new Error(`${session.name}: "${action.find}" not found in ${session.document}`);
+      cursor = action.before ? at : at + action.find.length;
+    } else if (action.type !== undefined) {
+      for (const ch of action.type) {
+        if (/[a-z]/.test(ch) && next() < TYPO_RATE) {
+          edit([cursor, 0, NEIGHBOURS[Math.floor(next() * NEIGHBOURS.length)]]);
+          edit([cursor, 1, ""]);
+        }
+        edit([cursor, 0, ch]);
+        cursor += ch.length;
+      }
+    } else if (action.backspace !== undefined) {
+      for (let i = 0; i < action.backspace; i++) {
+        cursor--;
+        edit([cursor, 1, ""]);
+      }
+    }
+  }
+  return edits;
+}
+
+// The built-in sessions, one per kind of typing
+const SESSIONS = [
+  {
+    name: "paragraph",
+    description: "Extending a paragraph: plain words, inline math and an element typed bracket by bracket",
+    document: "welcome.scripta",
+    seed: 1,
+    actions: [
+      { find: "articles with beautiful things like this" },
+      { type: " (see [i Figure 1]), where the energy $E = h \\nu$ of a photon" },
+      { backspace: 9 },
+      { type: " quantum of light is fixed by its frequency" },
+    ],
+  },
+  {
+    name: "equation",
+    description: "Typing terms into a | equation block and a new $$ display",
+    document: "welcome.scripta",
+    seed: 2,
+    actions: [
+      { find: "pdd(u,x) + pdd(u,y) + pdd(u,z)" },
+      { type: " + lambda^2 u" },
+      { find: "frac(1,c^2) pdd(u,t)" },
+      { type: "\n\n$$\nint_0^1 f(x) dx = sum_(n=0)^oo a_n / (n+1)\n$$" },
+    ],
+  },
+  {
+    name: "list",
+    description: "Editing inside a list item's [b ...] element, then adding items",
+    document: "welcome.scripta",
+    seed: 3,
+    actions: [
+      { find: "- [b No set-up" },
+      { type: " or install" },
+      { find: "- [b Integrated image uploader]. " },
+      { find: "\n\n", before: true },
+      { type: "\n\n- [b Offline mode]. Keep writing without a connection." },
+      { type: "\n\n- [b Collaboration]. Share a document and edit it [i together]." },
+    ],
+  },
+  {
+    name: "block-header",
+    description: "Starting new blocks between paragraphs: | theorem, | code and a section heading",
+    document: "welcome.scripta",
+    seed: 4,
+    actions: [
+      { find: "# Features", before: true },
+      { type: "| theorem title:Pythagoras\nIn a right triangle, $a^2 + b^2 = c^2$.\n\n" },
+      { type: "| code\nrender : Document -> Html msg\n\n" },
+      { type: "## Getting started\n\n" },
+    ],
+  },
+];
+
+// JSON with one edit per line, so that diffs of regenerated traces are
+// readable
+function formatTrace(trace) {
+  const { edits, ...fields } = trace;
+  const head = JSON.stringify(fields, null, 2).replace(/\n}$/, "");
+  const body = edits.map((e) => "    " + JSON.stringify(e)).join(",\n");
+  return head + ',\n  "edits": [\n' + body + "\n  ]\n}\n";
+}
+
+function writeTraces(dir = TRACES_DIR) {
+  fs.mkdirSync(dir, { recursive: true });
+  for (const session of SESSIONS) {
+    const text = fs.readFileSync(path.join(DOCS_DIR, session.document), "utf-8");
+    const trace = {
+      description: session.description,
+      document: session.document,
+      documentLength: text.length,
+      edits: synthesize(session, text),
+    };
+    const tracePath = path.join(dir, session.name + ".json");
+    fs.writeFileSync(tracePath, formatTrace(trace));
+    console.log(`Wrote: ${tracePath} (${trace.edits.length} edits)`);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Main
+// ---------------------------------------------------------------------------
+
+function usage() {
+  console.error("Usage: node traces.js");
+  console.error("");
+  console.error("Synthesizes the built-in keystroke traces (paragraph, equation, list,");
+  console.error("block-header) into traces/. run.js replays every trace there.");
+  process.exit(1);
+}
+
+if (require.main === module) {
+  if (process.argv.length > 2) usage();
+  try {
+    writeTraces();
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { applyEdit, loadTraces, traceDocument, random, TRACES_DIR };
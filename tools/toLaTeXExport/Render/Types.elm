@@ -1,4 +1,4 @@
-module Render.Types exposing (DocumentKind(..), PublicationData)
+module Render.Types exposing (DocumentKind(..), PublicationData, TeXEngine(..))
 
 import Either exposing (Either(..))
 import Time exposing (Posix)
@@ -16,3 +16,13 @@ type DocumentKind
     = DKArticle
     | DKChapter
     | DKBook
+
+
+{-| The TeX engine an exported document is meant for. pdfLaTeX uses 8-bit
+(T1) fonts; XeLaTeX and LuaLaTeX read Unicode natively and load system fonts
+through fontspec.
+-}
+type TeXEngine
+    = PdfLaTeX
+    | XeLaTeX
+    | LuaLaTeX
@@ -1,18 +1,50 @@
 port module Worker exposing (main)
 
+{-| Export worker for the Node tools (`compiler.js`).
+
+Each request on `receiveRequest` is answered by exactly one message on
+`sendResponse` carrying the same id:
+
+    request:  { "id": 1, "command": "toLaTeX", "sourceText": "...", "options": {} }
+    response: { "id": 1, "ok": true, "result": ... }
+              { "id": 1, "ok": false, "error": "..." }
+
+Commands:
+
+  - `parse` — block summaries of the parsed forest
+  - `ast` — the full forest and accumulator, as encoded by `V3.Encode.document`
+  - `toLaTeX` — `{ latex, urlList, packageList, sourceMap }` for a standalone document
+  - `rawLaTeX` — the LaTeX body only, without preamble or front matter
+  - `macros` — `{ mathMacros, textMacros }`, the macros the document defines
+
+-}
+
 import Dict
+import ETeX.MathMacros exposing (MacroBody(..))
 import Either exposing (Either(..))
+import Generic.ASTTools
+import Generic.BlockUtilities
+import Generic.TextMacro
+import Json.Decode as Decode exposing (Decoder)
+import Json.Encode as Encode
+import Library.Tree
+import Parser.Expression
 import Parser.Forest
+import Render.Export.Image
 import Render.Export.LaTeX
-import Render.Settings exposing (defaultRenderSettings)
-import Render.Types exposing (DocumentKind(..), PublicationData)
+import Render.Export.SourceMap
+import Render.Settings exposing (RenderSettings, defaultRenderSettings)
+import Render.Types exposing (DocumentKind(..), PublicationData, TeXEngine(..))
+import RoseTree.Tree exposing (Tree)
 import TestData
+import V3.Encode
+import V3.Types exposing (CompilerParameters, ExpressionBlock, Filter(..), Heading(..))
 
 
-port receiveSourceText : (String -> msg) -> Sub msg
+port receiveRequest : (Decode.Value -> msg) -> Sub msg
 
 
-port sendLaTeX : String -> Cmd msg
+port sendResponse : Encode.Value -> Cmd msg
 
 
 type alias Model =
@@ -20,7 +52,15 @@ type alias Model =
 
 
 type Msg
-    = GotSourceText String
+    = GotRequest Decode.Value
+
+
+type alias Request =
+    { id : Int
+    , command : String
+    , sourceText : String
+    , options : Decode.Value
+    }
 
 
 main : Program () Model Msg
@@ -28,38 +68,401 @@ main =
     Platform.worker
         { init = \_ -> ( (), Cmd.none )
         , update = update
-        , subscriptions = \_ -> receiveSourceText GotSourceText
+        , subscriptions = \_ -> receiveRequest GotRequest
         }
 
 
 update : Msg -> Model -> ( Model, Cmd Msg )
 update msg model =
     case msg of
-        GotSourceText sourceText ->
-            let
-                params =
-                    TestData.defaultCompilerParameters
-
-                ( acc, forest ) =
-                    Parser.Forest.parseToForestWithAccumulator params (String.lines sourceText)
-
-                defaultPubData : PublicationData
-                defaultPubData =
-                    { title = "Untitled"
-                    , authorList = [ "test-author" ]
-                    , kind = DKArticle
-                    , date = Right ""
-                    }
-
-                ( properties, resolvedPubData ) =
-                    Render.Export.LaTeX.getPublicationData defaultPubData forest
-
-                settings =
-                    { defaultRenderSettings
-                        | properties = properties
-                    }
-
-                latex =
-                    Render.Export.LaTeX.export resolvedPubData settings forest
-            in
-            ( model, sendLaTeX latex )
+        GotRequest value ->
+            case Decode.decodeValue requestDecoder value of
+                Err err ->
+                    -- Echo the id if there is one, so the caller can still match the reply
+                    ( model
+                    , sendResponse
+                        (failure
+                            (Decode.decodeValue (Decode.field "id" Decode.int) value |> Result.toMaybe)
+                            ("Malformed request: " ++ Decode.errorToString err)
+                        )
+                    )
+
+                Ok request ->
+                    ( model, sendResponse (respond request) )
+
+
+requestDecoder : Decoder Request
+requestDecoder =
+    Decode.map4 Request
+        (Decode.field "id" Decode.int)
+        (Decode.field "command" Decode.string)
+        (Decode.field "sourceText" Decode.string)
+        (optionalField "options" Decode.value (Encode.object []))
+
+
+respond : Request -> Encode.Value
+respond request =
+    let
+        withOptions : Decoder options -> (options -> Encode.Value) -> Encode.Value
+        withOptions decoder handler =
+            case Decode.decodeValue decoder request.options of
+                Err err ->
+                    failure (Just request.id) ("Invalid options: " ++ Decode.errorToString err)
+
+                Ok options ->
+                    success request.id (handler options)
+    in
+    case request.command of
+        "parse" ->
+            withOptions parseOptionsDecoder (\params -> parseSummary params request.sourceText)
+
+        "ast" ->
+            withOptions parseOptionsDecoder (\params -> ast params request.sourceText)
+
+        "toLaTeX" ->
+            withOptions optionsDecoder (\exportOptions -> exportLaTeX exportOptions request.sourceText)
+
+        "rawLaTeX" ->
+            withOptions optionsDecoder (\exportOptions -> exportRawLaTeX exportOptions request.sourceText)
+
+        "macros" ->
+            withOptions parseOptionsDecoder (\params -> macros params request.sourceText)
+
+        _ ->
+            failure (Just request.id) ("Unknown command: " ++ request.command)
+
+
+success : Int -> Encode.Value -> Encode.Value
+success id result =
+    Encode.object
+        [ ( "id", Encode.int id )
+        , ( "ok", Encode.bool True )
+        , ( "result", result )
+        ]
+
+
+failure : Maybe Int -> String -> Encode.Value
+failure maybeId error =
+    Encode.object
+        [ ( "id", maybeId |> Maybe.map Encode.int |> Maybe.withDefault Encode.null )
+        , ( "ok", Encode.bool False )
+        , ( "error", Encode.string error )
+        ]
+
+
+
+-- PARSE
+
+
+{-| One entry per block, in document order: enough to see what the parser
+made of the source without encoding the expressions themselves.
+-}
+parseSummary : CompilerParameters -> String -> Encode.Value
+parseSummary params sourceText =
+    let
+        ( _, forest ) =
+            Parser.Forest.parseToForestWithAccumulator params (String.lines sourceText)
+
+        blocks =
+            List.concatMap Library.Tree.flatten forest
+    in
+    Encode.object
+        [ ( "blockCount", Encode.int (List.length blocks) )
+        , ( "blocks", Encode.list encodeBlockSummary blocks )
+        ]
+
+
+encodeBlockSummary : ExpressionBlock -> Encode.Value
+encodeBlockSummary block =
+    Encode.object
+        [ ( "id", Encode.string block.meta.id )
+        , ( "heading", Encode.string (headingKind block.heading) )
+        , ( "name", Generic.BlockUtilities.getExpressionBlockName block |> Maybe.map Encode.string |> Maybe.withDefault Encode.null )
+        , ( "lineNumber", Encode.int block.meta.lineNumber )
+        , ( "numberOfLines", Encode.int block.meta.numberOfLines )
+        , ( "error", block.meta.error |> Maybe.map Encode.string |> Maybe.withDefault Encode.null )
+        , ( "messages", Encode.list Encode.string block.meta.messages )
+        ]
+
+
+ast : CompilerParameters -> String -> Encode.Value
+ast params sourceText =
+    let
+        ( acc, forest ) =
+            Parser.Forest.parseToForestWithAccumulator params (String.lines sourceText)
+    in
+    V3.Encode.document acc forest
+
+
+headingKind : Heading -> String
+headingKind heading =
+    case heading of
+        Paragraph ->
+            "paragraph"
+
+        Ordinary _ ->
+            "ordinary"
+
+        Verbatim _ ->
+            "verbatim"
+
+
+{-| The macros a document defines, as the compiler reads them: the math
+macro dictionary the accumulator builds from `mathmacros` blocks (ETeX
+`name: body` lines and `\newcommand`), and the `[macro ...]` definitions of
+the `textmacros` block.
+
+    { "mathMacros": [ { "name": "reals", "arity": 0 } ]
+    , "textMacros": [ { "name": "hello", "arity": 1 } ]
+    }
+
+`Generic.TextMacro.buildDictionary` does not parse definitions yet, so the
+accumulator's text macro dictionary is always empty; the definitions are
+read here with the expression parser and `Generic.TextMacro.extract`.
+
+-}
+macros : CompilerParameters -> String -> Encode.Value
+macros params sourceText =
+    let
+        ( acc, forest ) =
+            Parser.Forest.parseToForestWithAccumulator params (String.lines sourceText)
+
+        mathMacros =
+            acc.mathMacroDict
+                |> Dict.toList
+                |> List.map (\( name, MacroBody arity _ ) -> ( name, arity ))
+
+        -- "(textmacros)" when there is no such block, which defines nothing
+        textMacros =
+            Generic.ASTTools.getVerbatimBlockValue "textmacros" forest
+                |> Parser.Expression.parse 0
+                |> List.filterMap Generic.TextMacro.extract
+                |> List.map (\macro -> ( macro.name, List.length macro.vars ))
+
+        encodeMacro ( name, arity ) =
+            Encode.object
+                [ ( "name", Encode.string name )
+                , ( "arity", Encode.int arity )
+                ]
+    in
+    Encode.object
+        [ ( "mathMacros", Encode.list encodeMacro mathMacros )
+        , ( "textMacros", Encode.list encodeMacro textMacros )
+        ]
+
+
+{-| Compiler parameters for `parse`, `ast` and `macros`. Every field is optional:
+
+    { "filter": "none" -- or "suppressDocumentBlocks"
+    , "maxLevel": 1
+    }
+
+-}
+parseOptionsDecoder : Decoder CompilerParameters
+parseOptionsDecoder =
+    let
+        defaults =
+            TestData.defaultCompilerParameters
+    in
+    Decode.map2
+        (\filter maxLevel -> { defaults | filter = filter, maxLevel = maxLevel })
+        (optionalField "filter" filterDecoder defaults.filter)
+        (optionalField "maxLevel" Decode.int defaults.maxLevel)
+
+
+filterDecoder : Decoder Filter
+filterDecoder =
+    Decode.string
+        |> Decode.andThen
+            (\filter ->
+                case filter of
+                    "none" ->
+                        Decode.succeed NoFilter
+
+                    "suppressDocumentBlocks" ->
+                        Decode.succeed SuppressDocumentBlocks
+
+                    _ ->
+                        Decode.fail ("Unknown filter: " ++ filter ++ " (expected none or suppressDocumentBlocks)")
+            )
+
+
+
+-- EXPORT
+
+
+{-| Export a document to LaTeX. Along with the LaTeX, reply with the image
+URLs and the extra packages the preamble loads, which the PDF server needs
+as `urlList` and `packageList`, and the source map from LaTeX lines back to
+Scripta blocks.
+-}
+exportLaTeX : ExportOptions -> String -> Encode.Value
+exportLaTeX exportOptions sourceText =
+    let
+        ( forest, resolvedPubData, settings ) =
+            prepareExport exportOptions sourceText
+
+        latex =
+            Render.Export.LaTeX.exportFor exportOptions.engine resolvedPubData settings forest
+    in
+    Encode.object
+        [ ( "latex", Encode.string latex )
+        , ( "urlList", Encode.list Encode.string (Render.Export.Image.imageUrls settings forest) )
+        , ( "packageList", Encode.list Encode.string (Render.Export.LaTeX.packageNames forest) )
+        , ( "sourceMap", Render.Export.SourceMap.encode latex (Render.Export.SourceMap.fromLaTeX forest latex) )
+        ]
+
+
+exportRawLaTeX : ExportOptions -> String -> Encode.Value
+exportRawLaTeX exportOptions sourceText =
+    let
+        ( forest, _, settings ) =
+            prepareExport exportOptions sourceText
+    in
+    Encode.string (Render.Export.LaTeX.rawExport settings forest)
+
+
+prepareExport : ExportOptions -> String -> ( List (Tree ExpressionBlock), PublicationData, RenderSettings )
+prepareExport exportOptions sourceText =
+    let
+        params =
+            TestData.defaultCompilerParameters
+
+        ( _, forest ) =
+            Parser.Forest.parseToForestWithAccumulator params (String.lines sourceText)
+
+        ( properties, resolvedPubData ) =
+            Render.Export.LaTeX.getPublicationData exportOptions.pubData forest
+
+        settings =
+            { defaultRenderSettings
+                | windowWidth = exportOptions.settings.windowWidth
+                , isStandaloneDocument = exportOptions.settings.isStandaloneDocument
+                , properties = properties
+            }
+    in
+    ( forest, resolvedPubData, settings )
+
+
+
+-- OPTIONS
+
+
+{-| Export options sent from JS. Every field is optional:
+
+    { "title": "Untitled"
+    , "authors": [ "test-author" ]
+    , "date": ""
+    , "kind": "article" -- or "book", "chapter"
+    , "settings": { "windowWidth": 600, "isStandaloneDocument": true }
+    , "engine": "pdflatex" -- or "xelatex", "lualatex", "tectonic"
+    }
+
+The engine only changes the preamble of `toLaTeX`: tectonic is XeTeX-based
+and gets the xelatex one.
+
+-}
+type alias ExportOptions =
+    { pubData : PublicationData
+    , settings : RenderSettings
+    , engine : TeXEngine
+    }
+
+
+optionsDecoder : Decoder ExportOptions
+optionsDecoder =
+    Decode.map3 ExportOptions
+        pubDataDecoder
+        (optionalField "settings" settingsDecoder defaultRenderSettings)
+        (optionalField "engine" engineDecoder PdfLaTeX)
+
+
+pubDataDecoder : Decoder PublicationData
+pubDataDecoder =
+    Decode.map4 PublicationData
+        (optionalField "title" Decode.string "Untitled")
+        (optionalField "authors" (Decode.list Decode.string) [ "test-author" ])
+        (optionalField "kind" kindDecoder DKArticle)
+        (optionalField "date" Decode.string "" |> Decode.map Right)
+
+
+kindDecoder : Decoder DocumentKind
+kindDecoder =
+    Decode.string
+        |> Decode.andThen
+            (\kind ->
+                case kind of
+                    "article" ->
+                        Decode.succeed DKArticle
+
+                    "DKArticle" ->
+                        Decode.succeed DKArticle
+
+                    "chapter" ->
+                        Decode.succeed DKChapter
+
+                    "DKChapter" ->
+                        Decode.succeed DKChapter
+
+                    "book" ->
+                        Decode.succeed DKBook
+
+                    "DKBook" ->
+                        Decode.succeed DKBook
+
+                    _ ->
+                        Decode.fail ("Unknown document kind: " ++ kind ++ " (expected article, chapter or book)")
+            )
+
+
+engineDecoder : Decoder TeXEngine
+engineDecoder =
+    Decode.string
+        |> Decode.andThen
+            (\engine ->
+                case engine of
+                    "pdflatex" ->
+                        Decode.succeed PdfLaTeX
+
+                    "xelatex" ->
+                        Decode.succeed XeLaTeX
+
+                    "tectonic" ->
+                        Decode.succeed XeLaTeX
+
+                    "lualatex" ->
+                        Decode.succeed LuaLaTeX
+
+                    _ ->
+                        Decode.fail ("Unknown TeX engine: " ++ engine ++ " (expected pdflatex, xelatex, lualatex or tectonic)")
+            )
+
+
+settingsDecoder : Decoder RenderSettings
+settingsDecoder =
+    Decode.map2
+        (\windowWidth isStandaloneDocument ->
+            { defaultRenderSettings
+                | windowWidth = windowWidth
+                , isStandaloneDocument = isStandaloneDocument
+            }
+        )
+        (optionalField "windowWidth" Decode.int defaultRenderSettings.windowWidth)
+        (optionalField "isStandaloneDocument" Decode.bool defaultRenderSettings.isStandaloneDocument)
+
+
+{-| Decode a field if it is present, otherwise use the default. Unlike
+`Decode.maybe`, a field that is present but malformed is still an error.
+-}
+optionalField : String -> Decoder a -> a -> Decoder a
+optionalField name decoder default =
+    Decode.value
+        |> Decode.andThen
+            (\value ->
+                case Decode.decodeValue (Decode.field name Decode.value) value of
+                    Ok _ ->
+                        Decode.field name decoder
+
+                    Err _ ->
+                        Decode.succeed default
+            )
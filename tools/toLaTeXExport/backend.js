@@ -0,0 +1,307 @@
+/**
+ * Compile backends for the LaTeX export runner.
+ *
+ * Each backend takes the LaTeX produced by Render.Export.LaTeX.export and
+ * returns the pipeline result in one shape:
+ *
+ *   { tex, hasErrors, errorData, errorReport, log }
+ *
+ * where `tex` is the LaTeX that was actually compiled (written as
+ * <basename>-2.tex) and `errorData` is the array of structured errors
+ * (written as <basename>-errors.json), or null if none could be obtained.
+ * `log` is the engine's full .log (local backend only; written as
+ * <basename>.log for diagnose.js's warnings).
+ *
+ *   http  — POST to the PDF server (default http://localhost:3000); an engine
+ *           other than pdflatex is sent along as `engine`
+ *   local — run pdflatex, xelatex, lualatex or tectonic on this machine
+ *
+ * The engine also decides the preamble: run.js passes it to the worker as
+ * the `engine` export option.
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const http = require("http");
+const https = require("https");
+const { spawn, spawnSync } = require("child_process");
+const texlog = require("./texlog");
+
+const DEFAULT_SERVER = "http://localhost:3000";
+const ENGINES = ["pdflatex", "xelatex", "lualatex", "tectonic"];
+// An image host that goes quiet for this long is given up on
+const DOWNLOAD_TIMEOUT = 30000;
+
+function checkEngine(engine) {
+  if (!ENGINES.includes(engine)) {
+    throw new Error("Unknown TeX engine: " + engine + " (expected one of " + ENGINES.join(", ") + ")");
+  }
+  return engine;
+}
+
+// ---------------------------------------------------------------------------
+// HTTP backend (PDF server)
+// ---------------------------------------------------------------------------
+
+function httpRequest(url, options, body) {
+  return new Promise((resolve, reject) => {
+    const parsedUrl = new URL(url);
+    const reqOptions = {
+      hostname: parsedUrl.hostname,
+      port: parsedUrl.port,
+      path: parsedUrl.pathname,
+      ...options,
+    };
+    const req = http.request(reqOptions, (res) => {
+      let data = "";
+      res.on("data", (chunk) => (data += chunk));
+      res.on("end", () => resolve({ status: res.statusCode, body: data }));
+    });
+    req.on("error", reject);
+    if (body) req.write(body);
+    req.end();
+  });
+}
+
+function httpGet(url) {
+  return httpRequest(url, { method: "GET" });
+}
+
+async function fetchErrorJson(server, filename) {
+  const url = server + "/pdf/" + filename;
+  try {
+    const res = await httpGet(url);
+    if (res.status === 200) {
+      return JSON.parse(res.body);
+    }
+  } catch (_) {}
+  return null;
+}
+
+function httpBackend(options = {}) {
+  const server = options.server || DEFAULT_SERVER;
+  const engine = checkEngine(options.engine || "pdflatex");
+
+  async function compile({ basename, content, urlList = [], packageList = [] }) {
+    // POST to the PDF server using the base filename as ID.
+    // The server overwrites output files on each POST for the same ID.
+    const payload = JSON.stringify({
+      id: basename + ".tex",
+      content,
+      urlList,
+      packageList,
+      ...(engine !== "pdflatex" ? { engine } : {}),
+    });
+
+    let res;
+    try {
+      res = await httpRequest(server + "/tex", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "Content-Length": Buffer.byteLength(payload),
+        },
+      }, payload);
+    } catch (err) {
+      throw new Error(err.message + " (is the PDF server running at " + server + "?)");
+    }
+
+    console.log("PDF server responded:", res.status);
+    const result = JSON.parse(res.body);
+
+    // Try multiple sources for structured error data:
+    // 1. Inline array in response (some server versions)
+    // 2. Fetch from server by well-known name (<basename>-errors.json)
+    let errorData = null;
+    if (result.hasErrors) {
+      errorData = Array.isArray(result.errorJson)
+        ? result.errorJson
+        : await fetchErrorJson(server, basename + "-errors.json");
+    }
+
+    return {
+      tex: result.tex || null,
+      hasErrors: !!result.hasErrors,
+      errorData,
+      errorReport: result.errorReport || null,
+    };
+  }
+
+  const describe = () => "PDF server at " + server + (engine !== "pdflatex" ? " (" + engine + ")" : "");
+  return { name: "http", engine, describe, compile };
+}
+
+// ---------------------------------------------------------------------------
+// Local backend (TeX engine on PATH)
+// ---------------------------------------------------------------------------
+
+function engineCommand(engine, texFile, outDir) {
+  switch (engine) {
+    case "tectonic":
+      return ["tectonic", ["--keep-logs", "--outdir", outDir, texFile]];
+    default:
+      return [engine, ["-interaction=nonstopmode", "-output-directory=" + outDir, texFile]];
+  }
+}
+
+const IMAGE_EXTENSIONS = {
+  "image/png": ".png",
+  "image/jpeg": ".jpg",
+  "image/gif": ".gif",
+  "application/pdf": ".pdf",
+};
+
+function download(url, redirects = 5) {
+  return new Promise((resolve, reject) => {
+    const client = url.startsWith("https:") ? https : http;
+    const req = client.get(url, (res) => {
+      if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location && redirects > 0) {
+        res.resume();
+        resolve(download(new URL(res.headers.location, url).toString(), redirects - 1));
+        return;
+      }
+      if (res.statusCode !== 200) {
+        res.resume();
+        reject(new Error("HTTP " + res.statusCode));
+        return;
+      }
+      const chunks = [];
+      res.on("data", (chunk) => chunks.push(chunk));
+      res.on("end", () => resolve({ data: Buffer.concat(chunks), contentType: res.headers["content-type"] || "" }));
+      res.on("error", reject);
+    });
+    req.on("error", reject);
+    // Fires on DOWNLOAD_TIMEOUT ms without data, before or during the response
+    req.setTimeout(DOWNLOAD_TIMEOUT, () => req.destroy(new Error("no response in " + DOWNLOAD_TIMEOUT + " ms")));
+  });
+}
+
+// Download the document's images into <workDir>/image/ and point the
+// \includegraphics calls at the local copies, as the PDF server does.
+// Images that cannot be fetched are left as URLs (and reported).
+async function localizeImages(content, urlList, workDir) {
+  if (urlList.length === 0) return content;
+  const imageDir = path.join(workDir, "image");
+  fs.mkdirSync(imageDir, { recursive: true });
+
+  let localized = content;
+  for (const [i, url] of urlList.entries()) {
+    try {
+      const { data, contentType } = await download(url);
+      const ext = IMAGE_EXTENSIONS[contentType.split(";")[0].trim()] || path.extname(new URL(url).pathname) || ".png";
+      const filename = "image-" + (i + 1) + ext;
+      fs.writeFileSync(path.join(imageDir, filename), data);
+      // The exporter drops the scheme from top-level [image ...] URLs
+      const bare = url.replace(/^https?:\/\//, "");
+      localized = localized
+        .split("{" + url + "}").join("{" + filename + "}")
+        .split("{" + bare + "}").join("{" + filename + "}");
+    } catch (err) {
+      console.warn("Could not fetch image " + url + ": " + err.message);
+    }
+  }
+  return localized;
+}
+
+// Warn about packages the preamble needs that this TeX installation lacks.
+// Skipped silently when kpsewhich is not available (e.g. with tectonic).
+function checkPackages(packageList) {
+  for (const pkg of packageList) {
+    const proc = spawnSync("kpsewhich", [pkg + ".sty"], { encoding: "utf-8" });
+    if (proc.error) return;
+    if (proc.status !== 0) {
+      console.warn("Package " + pkg + " is not installed; the document may not compile.");
+    }
+  }
+}
+
+// Run the engine without blocking the event loop, so that several documents
+// can compile at once (run.js --jobs). Resolves with {status, stdout, error}
+// like spawnSync; a run that exceeds `timeout` is killed.
+function runEngine(command, args, { cwd, timeout }) {
+  return new Promise((resolve) => {
+    const child = spawn(command, args, { cwd, stdio: ["ignore", "pipe", "pipe"] });
+    let stdout = "";
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      child.kill("SIGKILL");
+    }, timeout);
+    child.stdout.on("data", (chunk) => (stdout += chunk));
+    child.stderr.resume();
+    child.on("error", (error) => {
+      clearTimeout(timer);
+      resolve({ status: null, stdout, error });
+    });
+    child.on("close", (status) => {
+      clearTimeout(timer);
+      const error = timedOut ? new Error(command + " timed out after " + timeout + " ms") : null;
+      resolve({ status, stdout, error });
+    });
+  });
+}
+
+function localBackend(options = {}) {
+  const engine = checkEngine(options.engine || "pdflatex");
+  const timeout = options.timeout || 120000;
+
+  async function compile({ basename, content, urlList = [], packageList = [] }) {
+    const workDir = options.workDir || fs.mkdtempSync(path.join(os.tmpdir(), "scripta-latex-"));
+    fs.mkdirSync(workDir, { recursive: true });
+
+    const texFile = basename + ".tex";
+    const [command, args] = engineCommand(engine, texFile, workDir);
+    let proc;
+    let log;
+    try {
+      content = await localizeImages(content, urlList, workDir);
+      checkPackages(packageList);
+      fs.writeFileSync(path.join(workDir, texFile), content);
+
+      proc = await runEngine(command, args, { cwd: workDir, timeout });
+      if (proc.error) {
+        if (proc.error.code === "ENOENT") {
+          throw new Error(command + " not found on PATH");
+        }
+        throw proc.error;
+      }
+      const logPath = path.join(workDir, basename + ".log");
+      log = fs.existsSync(logPath) ? fs.readFileSync(logPath, "utf-8") : proc.stdout || "";
+    } finally {
+      if (!options.workDir) {
+        fs.rmSync(workDir, { recursive: true, force: true });
+      }
+    }
+
+    const errorData = texlog.toErrorEntries(texlog.parseErrors(log), content);
+    const hasErrors = errorData.length > 0 || proc.status !== 0;
+
+    return {
+      tex: content,
+      hasErrors,
+      errorData: hasErrors && errorData.length > 0 ? errorData : null,
+      errorReport: hasErrors ? log : null,
+      log,
+    };
+  }
+
+  return { name: "local", engine, describe: () => engine + " (local)", compile };
+}
+
+// ---------------------------------------------------------------------------
+// Selection
+// ---------------------------------------------------------------------------
+
+function createBackend(name, options) {
+  switch (name) {
+    case "http":
+      return httpBackend(options);
+    case "local":
+      return localBackend(options);
+    default:
+      throw new Error("Unknown backend: " + name + " (expected http or local)");
+  }
+}
+
+module.exports = { createBackend, httpBackend, localBackend, ENGINES, DEFAULT_SERVER };
@@ -0,0 +1,158 @@
+/**
+ * Regression baselines for diagnoses.
+ *
+ * A baseline records a signature for every error in the *-diagnosis.json
+ * files: its category, its LaTeX text with whitespace and "%%% Line N"
+ * annotations normalized away, and the name of the Scripta block it came
+ * from (not its position, which every edit above it shifts). Checking
+ * the current diagnoses against it sorts each error into new (a
+ * regression), fixed, or still present. Signatures are counted, so a second
+ * copy of a known error is new.
+ *
+ *   { "version": 2, "created": "2026-10-18T09:00:00.000Z",
+ *     "engines": { "manual": "pdflatex" },
+ *     "documents": { "manual": [ { "category": "escaping", "latexText": "a & b",
+ *                                  "sourceBlock": "theorem", "count": 1 } ] } }
+ *
+ * `engines` holds the TeX engine of each document's diagnosis, where it is
+ * known. A document now diagnosed with another engine is not compared: keep
+ * one baseline per engine instead.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+// 2: sourceBlock is the block name alone (version 1 added its id or line)
+const BASELINE_VERSION = 2;
+const DEFAULT_BASELINE = path.join(__dirname, "diagnosis-baseline.json");
+
+// ---------------------------------------------------------------------------
+// Signatures
+// ---------------------------------------------------------------------------
+
+function normalizeLatex(text) {
+  return (text || "")
+    .split("\n")
+    .filter((line) => !/^%%% Line \d+\s*$/.test(line))
+    .join(" ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// The name of the block an error came from, from the source map. Block ids
+// and Scripta lines are left out: they are line numbers, so an edit above
+// the error would make it both new and fixed.
+function blockLabel(error) {
+  return (error.sourceBlock && error.sourceBlock.name) || "";
+}
+
+function signature(error) {
+  return {
+    category: error.category,
+    // Diagnoses written before latexText was recorded only have the context
+    latexText: normalizeLatex(error.latexText !== undefined ? error.latexText : error.latexContext),
+    sourceBlock: blockLabel(error),
+  };
+}
+
+const signatureKey = (s) => JSON.stringify([s.category, s.latexText, s.sourceBlock]);
+
+// Signatures of a report's errors with their counts, in a stable order
+function countSignatures(errors) {
+  const counts = new Map();
+  for (const error of errors) {
+    const s = signature(error);
+    const key = signatureKey(s);
+    counts.set(key, { ...s, count: (counts.has(key) ? counts.get(key).count : 0) + 1 });
+  }
+  return [...counts.entries()].sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0)).map(([, s]) => s);
+}
+
+// ---------------------------------------------------------------------------
+// Baselines
+// ---------------------------------------------------------------------------
+
+// reports: { basename: diagnosis report }
+function makeBaseline(reports) {
+  const engines = {};
+  const documents = {};
+  for (const name of Object.keys(reports).sort()) {
+    if (reports[name].engine) engines[name] = reports[name].engine;
+    documents[name] = countSignatures(reports[name].errors || []);
+  }
+  return { version: BASELINE_VERSION, created: new Date().toISOString(), engines, documents };
+}
+
+function writeBaseline(baselinePath, baseline) {
+  fs.writeFileSync(baselinePath, JSON.stringify(baseline, null, 2) + "\n");
+}
+
+function readBaseline(baselinePath) {
+  if (!fs.existsSync(baselinePath)) {
+    throw new Error("Baseline not found: " + baselinePath + " (create one with --baseline)");
+  }
+  const baseline = JSON.parse(fs.readFileSync(baselinePath, "utf-8"));
+  if (baseline.version !== BASELINE_VERSION) {
+    throw new Error(
+      "Unsupported baseline version " + baseline.version + " in " + baselinePath + " (re-create it with --baseline)"
+    );
+  }
+  return baseline;
+}
+
+// Per document, the signatures that are new, fixed and still present, each
+// with the number of occurrences. Documents in the baseline without a
+// current report are listed in `missing`, and documents diagnosed with
+// another engine than the baseline's in `otherEngine`; both count as neither.
+function compareToBaseline(baseline, reports) {
+  const documents = {};
+  const names = new Set([...Object.keys(baseline.documents), ...Object.keys(reports)]);
+  const missing = [];
+  const otherEngine = [];
+  const engines = baseline.engines || {};
+
+  for (const name of [...names].sort()) {
+    if (!reports[name]) {
+      missing.push(name);
+      continue;
+    }
+    const engine = reports[name].engine;
+    if (engines[name] && engine && engines[name] !== engine) {
+      otherEngine.push({ file: name, engine, baselineEngine: engines[name] });
+      continue;
+    }
+    const before = new Map((baseline.documents[name] || []).map((s) => [signatureKey(s), s]));
+    const after = new Map(countSignatures(reports[name].errors || []).map((s) => [signatureKey(s), s]));
+    const result = { newErrors: [], fixed: [], stillPresent: [] };
+
+    for (const [key, s] of after) {
+      const old = before.has(key) ? before.get(key).count : 0;
+      if (s.count > old) result.newErrors.push({ ...s, count: s.count - old });
+      if (old > 0) result.stillPresent.push({ ...s, count: Math.min(old, s.count) });
+    }
+    for (const [key, s] of before) {
+      const now = after.has(key) ? after.get(key).count : 0;
+      if (s.count > now) result.fixed.push({ ...s, count: s.count - now });
+    }
+    documents[name] = result;
+  }
+
+  const total = (field) =>
+    Object.values(documents).reduce((n, d) => n + d[field].reduce((m, s) => m + s.count, 0), 0);
+  return {
+    documents,
+    missing,
+    otherEngine,
+    totals: { newErrors: total("newErrors"), fixed: total("fixed"), stillPresent: total("stillPresent") },
+  };
+}
+
+module.exports = {
+  DEFAULT_BASELINE,
+  normalizeLatex,
+  signature,
+  makeBaseline,
+  writeBaseline,
+  readBaseline,
+  compareToBaseline,
+};
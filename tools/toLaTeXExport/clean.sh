@@ -1,2 +1,5 @@
 rm ../..//tests/toLaTeXExportTestDocs/*.tex
 rm ../..//tests/toLaTeXExportTestDocs/*.json
+rm -f ../..//tests/toLaTeXExportTestDocs/*.log
+rm -f ../..//tests/toLaTeXExportTestDocs/*.html
+rm -f ../..//tests/toLaTeXExportTestDocs/export-coverage.scripta
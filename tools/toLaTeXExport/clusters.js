@@ -0,0 +1,113 @@
+/**
+ * Cross-document clustering of diagnoses into root causes.
+ *
+ * The same exporter bug shows up once per occurrence in every document that
+ * triggers it. Each error is reduced to a root-cause signature that leaves
+ * out the user's text: its category and rule pattern, the command TeX
+ * choked on, and the name of the Scripta block it came from. Errors with
+ * the same signature form a cluster; clusters are ranked by how many errors
+ * they account for, i.e. by the payoff of fixing them in the exporter.
+ *
+ *   { category: "undefined-command", pattern: "undefined-control-sequence",
+ *     command: "\\qed", block: "theorem",
+ *     count: 14, documents: { manual: 9, welcome: 5 },
+ *     fixLocation: "src/Render/Export/LaTeX.elm — blockDict (line 880)",
+ *     example: { document: "welcome", id: 2, scriptaLine: 40, latexText: "..." } }
+ */
+
+const { normalizeLatex } = require("./baseline");
+
+// A control sequence, or a character TeX treats specially
+const TOKEN = /\\(?:[a-zA-Z@]+|.)|[&_^#$%~]/g;
+
+// ---------------------------------------------------------------------------
+// Signatures
+// ---------------------------------------------------------------------------
+
+// The command an error is about: the unknown commands a rule found, the
+// environment of an undefined-environment error, else the last token of the
+// log's offending text (TeX shows the input up to the point of the error).
+// Null when there is nothing but user text to go on.
+function commandOf(error) {
+  if (error.unknownCommands && error.unknownCommands.length > 0) {
+    return [...error.unknownCommands].sort().join(" ");
+  }
+  const environment = /Environment (\S+) undefined/.exec(error.message || "");
+  if (environment) return "\\begin{" + environment[1] + "}";
+  const tokens = (error.offendingText || "").match(TOKEN);
+  return tokens ? tokens[tokens.length - 1] : null;
+}
+
+function rootCause(error) {
+  return {
+    category: error.category,
+    pattern: error.pattern,
+    command: commandOf(error),
+    block: error.sourceBlock ? error.sourceBlock.name || null : null,
+  };
+}
+
+const rootCauseKey = (c) => JSON.stringify([c.category, c.pattern, c.command, c.block]);
+
+// "undefined-command/undefined-control-sequence \qed in theorem"
+function describeRootCause(c) {
+  return [c.category + "/" + c.pattern, c.command, c.block ? "in " + c.block : null].filter(Boolean).join(" ");
+}
+
+// ---------------------------------------------------------------------------
+// Clustering
+// ---------------------------------------------------------------------------
+
+// The error that best shows a cluster: the most confidently classified,
+// then the shortest LaTeX, then the first found
+function betterExample(a, b) {
+  const confidence = (e) => (e.error.confidence === undefined ? 0 : e.error.confidence);
+  if (confidence(a) !== confidence(b)) return confidence(a) > confidence(b) ? a : b;
+  return b.latexText.length < a.latexText.length ? b : a;
+}
+
+// reports: { basename: diagnosis report }. Returns the clusters, most
+// errors first, then most documents.
+function clusterDiagnoses(reports) {
+  const clusters = new Map();
+
+  for (const name of Object.keys(reports).sort()) {
+    for (const error of reports[name].errors || []) {
+      const cause = rootCause(error);
+      const key = rootCauseKey(cause);
+      if (!clusters.has(key)) {
+        clusters.set(key, { ...cause, count: 0, documents: {}, fixLocation: error.fixLocation, best: null });
+      }
+      const cluster = clusters.get(key);
+      cluster.count++;
+      cluster.documents[name] = (cluster.documents[name] || 0) + 1;
+
+      const candidate = {
+        error,
+        document: name,
+        latexText: normalizeLatex(error.latexText !== undefined ? error.latexText : error.latexContext),
+      };
+      cluster.best = cluster.best ? betterExample(cluster.best, candidate) : candidate;
+    }
+  }
+
+  const documentCount = (c) => Object.keys(c.documents).length;
+  return [...clusters.values()]
+    .map(({ best, ...cluster }) => ({
+      ...cluster,
+      example: {
+        document: best.document,
+        id: best.error.id,
+        scriptaLine: best.error.scriptaLine,
+        latexText: best.latexText,
+      },
+    }))
+    .sort(
+      (a, b) =>
+        b.count - a.count ||
+        documentCount(b) - documentCount(a) ||
+        (rootCauseKey(a) < rootCauseKey(b) ? -1 : 1)
+    );
+}
+
+module.exports = { rootCause, describeRootCause, clusterDiagnoses };
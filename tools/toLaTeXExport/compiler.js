@@ -0,0 +1,140 @@
+/**
+ * Promise-based Node API for the Scripta compiler (the Elm worker built
+ * from Worker.elm into worker.js).
+ *
+ *   const { createCompiler } = require("./compiler");
+ *   const compiler = createCompiler();
+ *   const { latex, urlList, packageList } = await compiler.toLaTeX(source, { title: "Notes" });
+ *   const { blockCount, blocks } = await compiler.parse(source);
+ *   const { version, forest, accumulator } = await compiler.ast(source);
+ *
+ * Every call sends `{id, command, sourceText, options}` to the worker and
+ * resolves with the `result` of the response carrying the same id. Requests
+ * are queued and sent to the worker one at a time, so any number of calls
+ * may be in flight. A request is rejected when the worker answers
+ * `{ok: false, error}`, when the Elm runtime throws while handling it (the
+ * worker is then restarted), or when no answer arrives within `timeout` ms.
+ *
+ * Options:
+ *   workerPath — compiled worker to load (default: worker.js next to this file)
+ *   worker     — an Elm program to use instead, e.g. Elm.WorkerOptimize; any
+ *                Platform.worker with receiveRequest/sendResponse ports works
+ *   timeout    — ms to wait for each answer (default 60000)
+ */
+
+const path = require("path");
+
+const DEFAULT_WORKER = path.join(__dirname, "worker.js");
+const DEFAULT_TIMEOUT = 60000;
+
+function loadElm(workerPath) {
+  try {
+    return require(workerPath).Elm;
+  } catch (err) {
+    if (err.code === "MODULE_NOT_FOUND") {
+      throw new Error(workerPath + " not found (run `make build` in tools/toLaTeXExport)");
+    }
+    throw err;
+  }
+}
+
+function createCompiler(options = {}) {
+  const workerPath = options.workerPath || DEFAULT_WORKER;
+  const timeout = options.timeout || DEFAULT_TIMEOUT;
+  const program = options.worker || loadElm(workerPath).Worker;
+
+  let app = null;
+  let nextId = 1;
+  let current = null; // the request the worker is handling
+  const queue = [];
+
+  function start() {
+    app = program.init();
+    if (!app.ports || !app.ports.receiveRequest || !app.ports.sendResponse) {
+      throw new Error("Elm worker has no receiveRequest/sendResponse ports (stale build? run `make build`)");
+    }
+    app.ports.sendResponse.subscribe(onResponse);
+  }
+
+  function settle(request, error, result) {
+    clearTimeout(request.timer);
+    if (current === request) current = null;
+    if (error) {
+      request.reject(error);
+    } else {
+      request.resolve(result);
+    }
+  }
+
+  function onResponse(response) {
+    // A malformed request is answered with id null
+    const request = current && (response.id === current.id || response.id === null) ? current : null;
+    if (!request) return;
+    if (response.ok) {
+      settle(request, null, response.result);
+    } else {
+      settle(request, new Error(request.command + " failed: " + response.error));
+    }
+    // The answer may arrive inside send(); start the next request after it returns
+    setImmediate(dispatch);
+  }
+
+  function restart(reason) {
+    if (app) app.ports.sendResponse.unsubscribe(onResponse);
+    console.warn("Restarting Elm worker: " + reason);
+    start();
+  }
+
+  function dispatch() {
+    if (current || queue.length === 0) return;
+    const request = queue.shift();
+    current = request;
+    request.timer = setTimeout(() => {
+      settle(request, new Error(request.command + " timed out after " + timeout + " ms"));
+      // A late answer must not be mistaken for the next request's
+      restart("request " + request.id + " timed out");
+      dispatch();
+    }, timeout);
+
+    try {
+      app.ports.receiveRequest.send({
+        id: request.id,
+        command: request.command,
+        sourceText: request.sourceText,
+        options: request.options,
+      });
+    } catch (err) {
+      settle(request, new Error(request.command + " crashed the Elm worker: " + err.message));
+      restart("request " + request.id + " threw");
+      dispatch();
+    }
+  }
+
+  // Send any worker command; resolves with its result
+  function request(command, sourceText, requestOptions = {}) {
+    return new Promise((resolve, reject) => {
+      queue.push({ id: nextId++, command, sourceText, options: requestOptions, resolve, reject, timer: null });
+      dispatch();
+    });
+  }
+
+  start();
+
+  return {
+    request,
+    // {blockCount, blocks: [{id, heading, name, lineNumber, numberOfLines, error, messages}]}
+    parse: (sourceText, parseOptions) => request("parse", sourceText, parseOptions),
+    // {version, forest, accumulator}; see src/V3/Encode.elm for the format
+    ast: (sourceText, parseOptions) => request("ast", sourceText, parseOptions),
+    // {latex, urlList, packageList}; exportOptions as in Worker.elm (title, authors, date, kind, settings)
+    toLaTeX: (sourceText, exportOptions) => request("toLaTeX", sourceText, exportOptions),
+    // LaTeX body without preamble
+    rawLaTeX: (sourceText, exportOptions) => request("rawLaTeX", sourceText, exportOptions),
+    // {mathMacros, textMacros}, each [{name, arity}]: the macros the document defines
+    macros: (sourceText, parseOptions) => request("macros", sourceText, parseOptions),
+    // Number of requests waiting or in flight
+    pending: () => queue.length + (current ? 1 : 0),
+  };
+}
+
+module.exports = { createCompiler, DEFAULT_WORKER };
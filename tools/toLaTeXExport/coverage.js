@@ -0,0 +1,326 @@
+#!/usr/bin/env node
+
+/**
+ * Export coverage: which elements render in the browser but fall through in
+ * LaTeX.
+ *
+ * Lists every name the HTML renderers register — the blockDict of
+ * Render.OrdinaryBlock and Render.VerbatimBlock, and markupDict of
+ * Render.Expression — and looks each up in Render.Export.LaTeX: blockDict,
+ * macroDict, functionDict, aliases and verbatimExprDict, or a case of its
+ * own in exportBlock or exportExpr. Names the HTML side hides
+ * (renderNothing, renderComment) are left out.
+ *
+ * Every name without a dictionary entry is then exercised: a sample
+ * document with one block or element per name is written, and each sample
+ * is exported through the worker on its own. Its LaTeX is reported as
+ *
+ *   empty           nothing but comments
+ *   raw             Scripta source or an exporter placeholder ("[name]:unknown",
+ *                   "export of this block is unimplemented", "???(13)")
+ *   errorHighlight  a parser error marker
+ *   undefined       commands or environments that nothing defines
+ *                   (known-commands.json)
+ *   ok              none of these
+ *
+ * Usage:
+ *   node coverage.js            Compare, then export the samples (needs worker.js)
+ *   node coverage.js --static   Only compare the dictionaries
+ *
+ * Writes export-coverage.scripta (the sample document, which `make
+ * export-coverage.scripta` compiles) and export-coverage.json to
+ * tests/toLaTeXExportTestDocs.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { lexElm, declarationRange, dictKeys, loadRegistry } = require("./known-commands");
+
+const SRC_DIR = path.join(__dirname, "..", "..", "src");
+const DOCS_DIR = path.join(__dirname, "..", "..", "tests", "toLaTeXExportTestDocs");
+const SAMPLE_PATH = path.join(DOCS_DIR, "export-coverage.scripta");
+const REPORT_PATH = path.join(DOCS_DIR, "export-coverage.json");
+
+const SOURCES = {
+  ordinary: "Render/OrdinaryBlock.elm",
+  verbatim: "Render/VerbatimBlock.elm",
+  expression: "Render/Expression.elm",
+  exporter: "Render/Export/LaTeX.elm",
+};
+
+// HTML renderers that show nothing: a LaTeX export without output is right
+const HIDDEN_RENDERERS = ["renderNothing", "renderComment"];
+
+// Environments of LaTeX and the packages the preamble loads, besides the
+// theorem-like ones the preamble defines
+const LATEX_ENVIRONMENTS = [
+  "abstract", "adjustwidth", "align", "align*", "center", "description", "document", "enumerate",
+  "equation", "equation*", "figure", "flushleft", "flushright", "itemize", "minipage", "proof",
+  "quotation", "quote", "tabular", "tcolorbox", "thebibliography", "tikzcd", "tikzpicture",
+  "verbatim", "verse", "wrapfigure",
+];
+
+// ---------------------------------------------------------------------------
+// Reading the Elm sources
+// ---------------------------------------------------------------------------
+
+function readSource(relative) {
+  const text = fs.readFileSync(path.join(SRC_DIR, relative), "utf-8");
+  return { text, lexed: lexElm(text) };
+}
+
+// [{ name, renderer }] of a `Dict.fromList [ ( "name", renderer ) ]`, first
+// entry for a repeated name
+function dictEntries(relative, dictName) {
+  const { text, lexed } = readSource(relative);
+  const [begin, end] = declarationRange(text, lexed, dictName);
+  const entry = /^\s*[[,]\s*\(\s*"([^"]+)"\s*,\s*([A-Za-z_][\w.]*)/gm;
+  const entries = new Map();
+  for (const m of text.slice(begin, end).matchAll(entry)) {
+    if (!entries.has(m[1])) entries.set(m[1], m[2]);
+  }
+  return [...entries].map(([name, renderer]) => ({ name, renderer }));
+}
+
+const namesMatching = (source, re) => new Set([...source.matchAll(re)].map((m) => m[1]));
+
+// Where the exporter handles each kind of name
+function readExporter() {
+  const { text, lexed } = readSource(SOURCES.exporter);
+  const body = (name) => text.slice(...declarationRange(text, lexed, name));
+  const keys = (name) => new Set(dictKeys(text, lexed, name));
+
+  const exportBlock = body("exportBlock");
+  const exportExpr = body("exportExpr");
+  const memberLists = [...exportExpr.matchAll(/List\.member name \[([^\]]*)\]/g)].map((m) => m[1]).join(" ");
+
+  return {
+    ordinary: [
+      ["blockDict", keys("blockDict")],
+      ["exportBlock", namesMatching(exportBlock, /Ordinary "([^"]+)" ->/g)],
+    ],
+    // The Verbatim branch of exportBlock is the only `case name of` there
+    verbatim: [["exportBlock", namesMatching(exportBlock, /^\s+"([^"]+)" ->$/gm)]],
+    expression: [
+      ["macroDict", keys("macroDict")],
+      ["functionDict", keys("functionDict")],
+      ["aliases", keys("aliases")],
+      ["verbatimExprDict", keys("verbatimExprDict")],
+      [
+        "exportExpr",
+        new Set([...namesMatching(exportExpr, /name == "([^"]+)"/g), ...namesMatching(memberLists, /"([^"]+)"/g)]),
+      ],
+    ],
+  };
+}
+
+// Every name the HTML renderers know, by kind, with where (if anywhere) the
+// exporter handles it
+function compare() {
+  const exporter = readExporter();
+  const html = {
+    ordinary: dictEntries(SOURCES.ordinary, "blockDict"),
+    verbatim: dictEntries(SOURCES.verbatim, "blockDict"),
+    expression: dictEntries(SOURCES.expression, "markupDict"),
+  };
+
+  const result = {};
+  for (const [kind, entries] of Object.entries(html)) {
+    result[kind] = entries
+      .map(({ name, renderer }) => {
+        const handler = exporter[kind].find(([, names]) => names.has(name));
+        return {
+          name,
+          renderer,
+          hidden: HIDDEN_RENDERERS.includes(renderer),
+          latex: handler ? handler[0] : null,
+        };
+      })
+      .sort((a, b) => (a.name < b.name ? -1 : 1));
+  }
+  return result;
+}
+
+// Names to exercise: shown in HTML and without a dictionary entry (a case
+// in exportBlock or exportExpr is exactly where placeholders come from)
+function uncovered(entries) {
+  return entries.filter((e) => !e.hidden && (e.latex === null || e.latex === "exportBlock" || e.latex === "exportExpr"));
+}
+
+// ---------------------------------------------------------------------------
+// Samples
+// ---------------------------------------------------------------------------
+
+function sampleFor(kind, name) {
+  switch (kind) {
+    case "ordinary":
+      return `| ${name}\nSample ${name} text.\n`;
+    case "verbatim":
+      return `|| ${name}\nsample ${name} content\n`;
+    default:
+      return `Sample [${name} ${name} text].\n`;
+  }
+}
+
+function sampleDocument(samples) {
+  const header = "| title\nExport coverage\n\n";
+  return header + samples.map((s) => s.source).join("\n");
+}
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// How the LaTeX of one sample falls short, if it does
+function classifyOutput(kind, name, latex, known) {
+  const lines = latex.split("\n").filter((line) => !/^%%% Line \d+\s*$/.test(line));
+  const text = lines.join("\n").trim();
+
+  if (/\\errorHighlight\b/.test(text)) {
+    return { status: "errorHighlight" };
+  }
+  const source =
+    (kind === "expression" ? "\\[" : "^\\|\\|? ") + escapeRegExp(name) + "(?=[\\s\\]]|$)";
+  if (
+    /export of this block is unimplemented|\]:unknown|\?\?\?\(/.test(text) ||
+    new RegExp(source, "m").test(text)
+  ) {
+    return { status: "raw" };
+  }
+  if (lines.every((line) => /^\s*(%.*)?$/.test(line))) {
+    return { status: "empty" };
+  }
+
+  const undefinedNames = [];
+  for (const m of text.matchAll(/\\(begin|end)\{([^}]+)\}|\\([A-Za-z]+)/g)) {
+    if (m[3] !== undefined) {
+      if (!known.commands.has(m[3])) undefinedNames.push("\\" + m[3]);
+    } else if (!known.environments.has(m[2])) {
+      undefinedNames.push("{" + m[2] + "}");
+    }
+  }
+  if (undefinedNames.length > 0) {
+    return { status: "undefined", undefined: [...new Set(undefinedNames)] };
+  }
+  return { status: "ok" };
+}
+
+// Export each sample on its own, so that its LaTeX is all its own
+async function exerciseSamples(compiler, samples, known) {
+  for (const sample of samples) {
+    try {
+      sample.latex = await compiler.rawLaTeX(sample.source, {});
+      Object.assign(sample, classifyOutput(sample.kind, sample.name, sample.latex, known));
+    } catch (err) {
+      sample.status = "failed";
+      sample.error = err.message;
+    }
+  }
+}
+
+function knownNames() {
+  const registry = loadRegistry();
+  if (!registry) {
+    throw new Error("known-commands.json not found (run `make known-commands`)");
+  }
+  return {
+    commands: new Set(registry.commands),
+    environments: new Set([...registry.preamble.environments, ...LATEX_ENVIRONMENTS]),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Output
+// ---------------------------------------------------------------------------
+
+const KIND_TITLES = { ordinary: "Ordinary blocks", verbatim: "Verbatim blocks", expression: "Elements" };
+
+function printComparison(comparison) {
+  for (const [kind, entries] of Object.entries(comparison)) {
+    const shown = entries.filter((e) => !e.hidden);
+    const missing = shown.filter((e) => e.latex === null);
+    console.log(
+      `${KIND_TITLES[kind]}: ${shown.length} rendered in HTML, ${shown.length - missing.length} handled by the exporter, ` +
+        `${missing.length} not (${entries.length - shown.length} hidden)`
+    );
+    if (missing.length > 0) console.log("  not handled: " + missing.map((e) => e.name).join(", "));
+  }
+}
+
+function printSamples(samples) {
+  const colName = Math.max(4, ...samples.map((s) => s.name.length)) + 2;
+  console.log("Kind".padEnd(12) + "Name".padEnd(colName) + "Handled by".padEnd(14) + "Output");
+  console.log("-".repeat(12 + colName + 14 + 30));
+  for (const s of samples) {
+    const detail =
+      s.status === "undefined" ? " " + s.undefined.join(" ") : s.status === "failed" ? ": " + s.error : "";
+    console.log(s.kind.padEnd(12) + s.name.padEnd(colName) + (s.handler || "-").padEnd(14) + s.status + detail);
+  }
+  const counts = {};
+  for (const s of samples) counts[s.status] = (counts[s.status] || 0) + 1;
+  console.log("-".repeat(12 + colName + 14 + 30));
+  console.log(
+    Object.entries(counts)
+      .map(([status, n]) => `${status}: ${n}`)
+      .join(", ")
+  );
+}
+
+// ---------------------------------------------------------------------------
+// Main
+// ---------------------------------------------------------------------------
+
+function usage() {
+  console.error("Usage: node coverage.js [--static]");
+  console.error("");
+  console.error("Lists the names the HTML renderers know that Render.Export.LaTeX has no");
+  console.error("dictionary entry for, and (without --static) exports a sample of each");
+  console.error("through the worker, reporting empty, raw, errorHighlight and undefined output.");
+  process.exit(1);
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  if (args.some((a) => a !== "--static")) usage();
+  const staticOnly = args.includes("--static");
+
+  try {
+    const comparison = compare();
+    printComparison(comparison);
+
+    const samples = Object.entries(comparison).flatMap(([kind, entries]) =>
+      uncovered(entries).map((e) => ({
+        kind,
+        name: e.name,
+        handler: e.latex,
+        source: sampleFor(kind, e.name),
+      }))
+    );
+    fs.writeFileSync(SAMPLE_PATH, sampleDocument(samples));
+    console.log("");
+    console.log(`Wrote: ${SAMPLE_PATH} (${samples.length} samples)`);
+
+    if (!staticOnly) {
+      const { createCompiler } = require("./compiler");
+      console.log("");
+      await exerciseSamples(createCompiler(), samples, knownNames());
+      printSamples(samples);
+    }
+
+    const report = {
+      created: new Date().toISOString(),
+      names: comparison,
+      samples,
+    };
+    fs.writeFileSync(REPORT_PATH, JSON.stringify(report, null, 2));
+    console.log("Wrote: " + REPORT_PATH);
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+  process.exit(0);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { compare, classifyOutput, sampleFor };
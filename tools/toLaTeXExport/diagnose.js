@@ -2,212 +2,54 @@
 
 const fs = require("fs");
 const path = require("path");
+const { loadSourceMap, mappingForCompiledLine } = require("./sourcemap");
+const { loadMacros, macroCommands } = require("./macros");
+const texlog = require("./texlog");
+const { loadRules, matchRules, describeFixLocations } = require("./rules");
+const { DEFAULT_BASELINE, makeBaseline, writeBaseline, readBaseline, compareToBaseline } = require("./baseline");
+const { clusterDiagnoses, describeRootCause } = require("./clusters");
 
 const DOCS_DIR = path.join(__dirname, "..", "..", "tests", "toLaTeXExportTestDocs");
 
 // ---------------------------------------------------------------------------
-// Known commands — sourced from src/ETeX/KaTeX.elm (513 commands)
-// plus standard LaTeX text-mode commands used by the exporter
+// Known commands — known-commands.json, generated from src/ETeX/KaTeX.elm,
+// src/Render/Export/LaTeX.elm and src/Render/Export/Preamble.elm by
+// known-commands.js (`make known-commands`)
 // ---------------------------------------------------------------------------
 
-// From ETeX.KaTeX: greekLetters, binaryOperators, relationSymbols, arrows,
-// delimiters, bigOperators, mathFunctions, accents, fonts, spacing,
-// logicAndSetTheory, miscSymbols, fractions, binomials, roots, textOperators
-const KATEX_COMMANDS = [
-  // Greek letters (lowercase)
-  "alpha","beta","gamma","delta","epsilon","varepsilon","zeta","eta","theta",
-  "vartheta","iota","kappa","varkappa","lambda","mu","nu","xi","pi","varpi",
-  "rho","varrho","sigma","varsigma","tau","upsilon","phi","varphi","chi","psi","omega",
-  // Greek letters (uppercase)
-  "Gamma","Delta","Theta","Lambda","Xi","Pi","Sigma","Upsilon","Phi","Psi","Omega",
-  "digamma","varGamma","varDelta","varTheta","varLambda","varXi","varPi",
-  "varSigma","varUpsilon","varPhi","varPsi","varOmega",
-  // Binary operators
-  "pm","mp","times","div","cdot","ast","star","circ","bullet","oplus","ominus",
-  "otimes","oslash","odot","dagger","ddagger","vee","lor","wedge","land","cap",
-  "cup","setminus","smallsetminus","triangleleft","triangleright","bigtriangleup",
-  "bigtriangledown","lhd","rhd","unlhd","unrhd","amalg","uplus","sqcap","sqcup",
-  "boxplus","boxminus","boxtimes","boxdot","leftthreetimes","rightthreetimes",
-  "curlyvee","curlywedge","dotplus","divideontimes","doublebarwedge",
-  // Relation symbols
-  "leq","le","geq","ge","neq","ne","sim","simeq","approx","cong","equiv","prec",
-  "succ","preceq","succeq","ll","gg","subset","supset","subseteq","supseteq",
-  "nsubseteq","nsupseteq","sqsubset","sqsupset","sqsubseteq","sqsupseteq","in",
-  "ni","notin","notni","propto","varpropto","perp","parallel","nparallel","smile",
-  "frown","doteq","vdash","vDash","Vdash","models",
-  // Arrows
-  "leftarrow","gets","rightarrow","to","leftrightarrow","Leftarrow","Rightarrow",
-  "Leftrightarrow","iff","uparrow","downarrow","updownarrow","Uparrow","Downarrow",
-  "Updownarrow","mapsto","hookleftarrow","hookrightarrow","leftharpoonup",
-  "rightharpoonup","leftharpoondown","rightharpoondown","rightleftharpoons",
-  "longleftarrow","longrightarrow","longleftrightarrow","Longleftarrow","impliedby",
-  "Longrightarrow","implies","Longleftrightarrow","longmapsto","nearrow","searrow",
-  "swarrow","nwarrow","xrightarrow","xleftarrow",
-  // Delimiters
-  "lbrace","rbrace","lbrack","rbrack","langle","rangle","vert","Vert","lvert",
-  "rvert","lVert","rVert","lfloor","rfloor","lceil","rceil",
-  // Big operators
-  "sum","prod","coprod","bigcup","bigcap","bigvee","bigwedge","bigoplus",
-  "bigotimes","bigodot","biguplus","bigsqcup","int","oint","iint","iiint",
-  // Math functions
-  "sin","cos","tan","cot","sec","csc","sinh","cosh","tanh","coth","sech","csch",
-  "arcsin","arccos","arctan","ln","log","lg","exp","deg","det","dim","hom","ker",
-  "lim","liminf","limsup","max","min","sup","inf","Pr","gcd","lcm","arg","mod",
-  "bmod","pmod",
-  // Accents
-  "hat","widehat","check","widecheck","tilde","widetilde","acute","grave","dot",
-  "ddot","breve","bar","vec","mathring","overline","underline",
-  // Fonts
-  "mathrm","mathit","mathbf","boldsymbol","pmb","mathbb","Bbb","mathcal","cal",
-  "mathscr","scr","mathfrak","frak","mathsf","sf","mathtt","tt","mathnormal",
-  "text","textbf","textit","textrm","textsf","texttt","textnormal","operatorname",
-  // Spacing
-  "quad","qquad","space","thinspace","medspace","thickspace","enspace",
-  "phantom","hphantom","vphantom","kern","hskip","hspace","mkern","mskip",
-  // Logic and set theory
-  "forall","exists","nexists","complement","mid","nmid","emptyset","varnothing",
-  "neg","lnot",
-  // Misc symbols
-  "infty","aleph","partial","nabla","Box","square","triangle","angle","prime",
-  "degree","top","bot","clubsuit","diamondsuit","heartsuit","spadesuit","ldots",
-  "cdots","ddots","vdots",
-  // Fractions, binomials, roots
-  "frac","dfrac","tfrac","cfrac","over","binom","dbinom","tbinom","sqrt",
-  // Text operators
-  "not","cancel","bcancel","xcancel","sout","overset","underset","stackrel","substack",
-  // Environments (appear after \begin/\end)
-  "pmatrix","bmatrix","vmatrix","Vmatrix","cases",
-];
-
-// Standard LaTeX text-mode commands used by the exporter
-const LATEX_TEXT_COMMANDS = [
-  "textbf","textit","emph","lstinline","item","bibitem","index","label","ref",
-  "eqref","section","subsection","subsubsection","chapter","begin","end","href",
-  "url","cite","includegraphics","centering","caption","footnote","par","newline",
-  "clearpage","newpage","tableofcontents","maketitle","makeindex","printindex",
-  "textcolor","scalebox","usepackage","documentclass","title","author","date",
-  "textwidth","linewidth","columnwidth","paperwidth",
-  "vspace","hfill","noindent","bigskip","medskip","smallskip",
-  "errorHighlight", // parser error marker — handled by parse-error-passthrough rule
-  "markwith","anchor","ilink","strong","italic","strike","hide",
-  "hang","compactItem","code","ellie","imagecenter","imagefloat",
-  "red","blue","violet","green","gray","magenta","cyan","orange","pink","black",
-  "u","st",
-];
-
 const KNOWN_COMMANDS = new Set(
-  [...KATEX_COMMANDS, ...LATEX_TEXT_COMMANDS].map((c) => "\\" + c)
+  require("./known-commands.json").commands.map((c) => "\\" + c)
 );
 
-// Extract user-defined macro names from a .scripta file's mathmacros block
-function extractUserMacros(scriptaPath) {
-  const fs = require("fs");
-  if (!fs.existsSync(scriptaPath)) return new Set();
-  const src = fs.readFileSync(scriptaPath, "utf-8");
-  const macros = new Set();
+// User-defined macros, as a map from control sequence to the block that
+// defines it: from the worker's `macros` reply when there is one (see
+// macros.js), else the \newcommand lines of the .scripta source, which
+// misses ETeX `name: body` definitions and text macros
+function userMacrosIn(scriptaText, macros = null) {
+  if (macros) return macroCommands(macros);
+  const commands = new Map();
   const re = /\\newcommand\{\\([a-zA-Z]+)\}/g;
   let m;
-  while ((m = re.exec(src)) !== null) {
-    macros.add("\\" + m[1]);
+  while ((m = re.exec(scriptaText)) !== null) {
+    commands.set("\\" + m[1], "mathmacros");
   }
-  return macros;
+  return commands;
 }
 
 // ---------------------------------------------------------------------------
-// Error classification rules
+// Classification
 // ---------------------------------------------------------------------------
 
-const RULES = [
-  {
-    category: "parse-error-passthrough",
-    pattern: "bare-errorHighlight",
-    test: (latexText) => latexText.includes("\\errorHighlight{"),
-    explanation: "Parser error marker \\errorHighlight leaked into LaTeX output",
-    fixLocation: "src/Render/Export/LaTeX.elm — exportExpr (line 1663)",
-    fixHint:
-      "The parser produced an error expression that the exporter rendered literally. " +
-      "Either fix the parser to handle this input, or add a fallback in exportExpr " +
-      "that strips/replaces \\errorHighlight markers.",
-  },
-  {
-    category: "missing-handler",
-    pattern: "bare-backtick",
-    test: (latexText) => /(?:^|[^\\])` /.test(latexText) || / `(?:$|[^\\])/.test(latexText),
-    explanation: "Backtick element [bt ] not converted to \\lstinline",
-    fixLocation: "src/Render/Export/LaTeX.elm — exportExpr / macroDict (line 1217)",
-    fixHint:
-      "Add 'bt' handling in exportExpr (around line 1668) or add an entry " +
-      "to macroDict (line 1217) that converts [bt ] to \\lstinline|...|.",
-  },
-  {
-    category: "bibliography",
-    pattern: "bibitem-structure",
-    test: (latexText) => latexText.includes("\\bibitem{"),
-    explanation: "Bibliography item \\bibitem causing undefined \\@listctr error",
-    fixLocation:
-      "src/Render/Export/LaTeX.elm — exportBibitem (line 1271) / exportBibliographyBegin (line 1262)",
-    fixHint:
-      "Check that \\begin{thebibliography}{N} is emitted before \\bibitem entries " +
-      "and that the list counter is properly initialised.",
-  },
-  {
-    category: "math-mode",
-    pattern: "missing-dollar",
-    test: (latexText) => /[_^]/.test(latexText)
-      && !latexText.includes("\\lstinline")
-      && !latexText.includes("$")
-      && !latexText.includes("\\(")
-      && !latexText.includes("\\begin{equation}")
-      && !latexText.includes("\\begin{align}")
-      && !latexText.includes("\\begin{pmatrix}")
-      && !latexText.includes("\\begin{bmatrix}"),
-    explanation: "Math characters (^ or _) appear outside math mode",
-    fixLocation: "src/Render/Export/LaTeX.elm — mapChars2 (line 1179) or inline code handler",
-    fixHint:
-      "Either the source text contains math characters that should be in " +
-      "a [code] or [math] element, or mapChars2 needs to escape them.",
-  },
-  {
-    category: "escaping",
-    pattern: "unescaped-special",
-    test: (latexText) => {
-      // Look for unescaped &, #, % outside of known-safe commands
-      const stripped = latexText
-        .replace(/\\lstinline\|[^|]*\|/g, "")
-        .replace(/\\[a-zA-Z]+\{[^}]*\}/g, "")
-        .replace(/\\[&#%]/g, "");
-      return /[&#%]/.test(stripped);
-    },
-    explanation: "Special LaTeX characters (&, #, or %) not escaped",
-    fixLocation: "src/Render/Export/LaTeX.elm — mapChars2 (line 1179)",
-    fixHint:
-      "Add escaping rules to mapChars2: & → \\&, # → \\#, % → \\%.",
-  },
-  {
-    category: "undefined-command",
-    pattern: "undefined-control-sequence",
-    // This rule receives userMacros as a third argument via classify()
-    test: (latexText, _scriptaText, userMacros) => {
-      const unknowns = latexText.match(/\\[a-zA-Z]+/g) || [];
-      const found = [...new Set(unknowns.filter((cmd) =>
-        !KNOWN_COMMANDS.has(cmd) && !(userMacros && userMacros.has(cmd))
-      ))];
-      return found.length > 0 ? found : false;
-    },
-    explanation: "LaTeX output contains a control sequence not in the standard set",
-    fixLocation:
-      "src/Render/Export/LaTeX.elm — blockDict (line 1284) or macroDict (line 1217)",
-    fixHint:
-      "Check whether the command is intentional. If so, ensure the preamble " +
-      "defines it. If not, fix the export function that generated it.",
-  },
-];
+// Rules are loaded once per set of extra rule directories (see rules.js)
+const loadedRules = new Map();
 
-// ---------------------------------------------------------------------------
-// Classification
-// ---------------------------------------------------------------------------
+function rulesFor(ruleDirs = []) {
+  const key = ruleDirs.join("\0");
+  if (!loadedRules.has(key)) loadedRules.set(key, loadRules(ruleDirs));
+  return loadedRules.get(key);
+}
 
-function classify(errorEntry, scriptaLines, latexLines, userMacros) {
+function classify(errorEntry, scriptaLines, latexLines, userMacros, rules) {
   const latexText = errorEntry["latex-text"] || "";
   const scriptaLine = errorEntry["scripta-line"];
   const latexLine = errorEntry["latex-line"];
@@ -216,47 +58,76 @@ function classify(errorEntry, scriptaLines, latexLines, userMacros) {
   const scriptaContext = extractContext(scriptaLines, scriptaLine - 1, 1);
   const latexContext = extractContext(latexLines, latexLine - 1, 1);
 
-  // Try each rule in order; first match wins
-  // A rule's test() returns truthy on match. For undefined-command it returns
-  // the array of unknown commands; for others it returns true/false.
-  for (const rule of RULES) {
-    const result = rule.test(latexText, null, userMacros);
-    if (result) {
-      const entry = {
-        scriptaLine,
-        scriptaContext,
-        latexLine,
-        latexContext,
-        category: rule.category,
-        pattern: rule.pattern,
-        explanation: rule.explanation,
-        fixLocation: rule.fixLocation,
-        fixHint: rule.fixHint,
-      };
-      // If the rule returned detail (e.g. list of unknown commands), include it
-      if (Array.isArray(result)) {
-        entry.unknownCommands = result;
-        entry.explanation =
-          "Undefined control sequence(s): " + result.join(", ");
-      }
-      return entry;
-    }
+  // What the TeX log said about the error, for entries parsed from a log
+  const logError = {
+    kind: errorEntry.kind,
+    message: errorEntry.message,
+    offendingText: errorEntry["offending-text"],
+  };
+
+  // Every matching rule is reported; the one with the highest priority
+  // gives the error its category
+  const matches = matchRules(rules, {
+    latexText,
+    scriptaText: scriptaContext,
+    logError,
+    userMacros,
+    knownCommands: KNOWN_COMMANDS,
+  });
+
+  if (matches.length === 0) {
+    return {
+      scriptaLine,
+      scriptaContext,
+      latexLine,
+      latexText,
+      latexContext,
+      category: "unclassified",
+      pattern: "unknown",
+      confidence: 0,
+      explanation: "Error did not match any known pattern",
+      fixLocation: describeFixLocations([]),
+      fixHint: "Inspect the latex-text field manually to determine the root cause.",
+      matches: [],
+      ...logFields(errorEntry),
+    };
   }
 
-  // Fallback: unclassified
+  const [top] = matches;
+  // An edit to the .scripta source, for rules where the author can fix it
+  const sourceFix = top.sourceFix
+    ? top.sourceFix({ scriptaLines, scriptaLine, latexText, logError, details: top.details })
+    : null;
   return {
     scriptaLine,
     scriptaContext,
     latexLine,
+    latexText,
     latexContext,
-    category: "unclassified",
-    pattern: "unknown",
-    explanation: "Error did not match any known pattern",
-    fixLocation: "src/Render/Export/LaTeX.elm",
-    fixHint: "Inspect the latex-text field manually to determine the root cause.",
+    category: top.category,
+    pattern: top.pattern,
+    confidence: top.confidence,
+    explanation: top.explanation,
+    fixLocation: top.fixLocation,
+    fixLocations: top.fixLocations,
+    fixHint: top.fixHint,
+    // Rule-specific detail, e.g. unknownCommands
+    ...top.details,
+    matches: matches.map(({ details: _details, fixHint: _fixHint, sourceFix: _sourceFix, ...match }) => match),
+    ...(sourceFix ? { sourceFix } : {}),
+    ...logFields(errorEntry),
   };
 }
 
+// Fields only entries parsed from a TeX log have
+function logFields(errorEntry) {
+  const fields = {};
+  if (errorEntry.kind) fields.kind = errorEntry.kind;
+  if (errorEntry.message) fields.message = errorEntry.message;
+  if (errorEntry["offending-text"]) fields.offendingText = errorEntry["offending-text"];
+  return fields;
+}
+
 function extractContext(lines, index, radius) {
   if (!lines || index < 0 || index >= lines.length) return "";
   const start = Math.max(0, index - radius);
@@ -268,34 +139,29 @@ function extractContext(lines, index, radius) {
 // Summary mode
 // ---------------------------------------------------------------------------
 
-function runSummary() {
-  const files = fs.readdirSync(DOCS_DIR).filter((f) => f.endsWith("-diagnosis.json"));
-  if (files.length === 0) {
-    console.log("No diagnosis files found. Run 'node diagnose.js <basename>' first.");
-    process.exit(0);
-  }
+function summaryRow(report) {
+  const topCat = Object.entries(report.categories || {}).sort((a, b) => b[1] - a[1])[0];
+  const topStr = topCat ? `${topCat[0]} (${topCat[1]})` : "none";
+  return { file: report.file, engine: report.engine || null, errors: report.totalErrors, topCategory: topStr };
+}
 
-  const rows = [];
-  let total = 0;
+// Print the File / Errors / Top Category table for a list of summary rows,
+// with an Engine column when some document was compiled with another engine
+// than pdflatex
+function printSummaryTable(rows) {
+  const total = rows.reduce((n, r) => n + (typeof r.errors === "number" ? r.errors : 0), 0);
 
-  for (const file of files.sort()) {
-    const data = JSON.parse(fs.readFileSync(path.join(DOCS_DIR, file), "utf-8"));
-    const topCat = Object.entries(data.categories || {}).sort((a, b) => b[1] - a[1])[0];
-    const topStr = topCat ? `${topCat[0]} (${topCat[1]})` : "none";
-    rows.push({ file: data.file, errors: data.totalErrors, topCategory: topStr });
-    total += data.totalErrors;
-  }
-
-  // Print table
   const colFile = Math.max(4, ...rows.map((r) => r.file.length)) + 2;
+  const colEngine = rows.some((r) => r.engine && r.engine !== "pdflatex") ? 10 : 0;
   const colErr = 8;
   const header =
-    "File".padEnd(colFile) + "Errors".padEnd(colErr) + "Top Category";
+    "File".padEnd(colFile) + (colEngine ? "Engine".padEnd(colEngine) : "") + "Errors".padEnd(colErr) + "Top Category";
   console.log(header);
   console.log("-".repeat(header.length + 20));
   for (const r of rows) {
     console.log(
       r.file.padEnd(colFile) +
+        (colEngine ? (r.engine || "?").padEnd(colEngine) : "") +
         String(r.errors).padEnd(colErr) +
         r.topCategory
     );
@@ -304,60 +170,283 @@ function runSummary() {
   console.log("TOTAL".padEnd(colFile) + String(total));
 }
 
+// Every *-diagnosis.json in DOCS_DIR, by basename
+function readDiagnoses() {
+  const reports = {};
+  for (const file of fs.readdirSync(DOCS_DIR).filter((f) => f.endsWith("-diagnosis.json")).sort()) {
+    reports[file.replace(/-diagnosis\.json$/, "")] = JSON.parse(fs.readFileSync(path.join(DOCS_DIR, file), "utf-8"));
+  }
+  return reports;
+}
+
+function runSummary() {
+  const reports = readDiagnoses();
+  if (Object.keys(reports).length === 0) {
+    console.log("No diagnosis files found. Run 'node diagnose.js <basename>' first.");
+    process.exit(0);
+  }
+
+  printSummaryTable(Object.values(reports).map(summaryRow));
+}
+
+// ---------------------------------------------------------------------------
+// Baseline mode
+// ---------------------------------------------------------------------------
+
+function runBaseline(baselinePath) {
+  const reports = readDiagnoses();
+  if (Object.keys(reports).length === 0) {
+    console.error("No diagnosis files found. Run 'node diagnose.js --all' first.");
+    process.exit(1);
+  }
+  const baseline = makeBaseline(reports);
+  writeBaseline(baselinePath, baseline);
+  const count = Object.values(baseline.documents).reduce((n, d) => n + d.reduce((m, s) => m + s.count, 0), 0);
+  console.log(`Baseline of ${count} errors in ${Object.keys(reports).length} documents. Wrote: ${baselinePath}`);
+}
+
+function printSignatures(mark, signatures) {
+  for (const s of signatures) {
+    const times = s.count > 1 ? ` (x${s.count})` : "";
+    const block = s.sourceBlock ? `[${s.sourceBlock}] ` : "";
+    console.log(`  ${mark} ${s.category.padEnd(24)} ${block}${s.latexText.slice(0, 80)}${times}`);
+  }
+}
+
+// Compare the current diagnoses with the baseline; exit 1 on regressions
+function runCheck(baselinePath) {
+  let baseline;
+  try {
+    baseline = readBaseline(baselinePath);
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+  const { documents, missing, otherEngine, totals } = compareToBaseline(baseline, readDiagnoses());
+
+  console.log("Baseline: " + baselinePath + " (" + baseline.created + ")");
+  console.log("");
+  const colFile = Math.max(4, ...Object.keys(documents).map((f) => f.length)) + 2;
+  console.log("File".padEnd(colFile) + "New".padEnd(6) + "Fixed".padEnd(8) + "Still present");
+  console.log("-".repeat(colFile + 30));
+  const sum = (signatures) => signatures.reduce((n, s) => n + s.count, 0);
+  for (const [name, d] of Object.entries(documents)) {
+    console.log(
+      name.padEnd(colFile) +
+        String(sum(d.newErrors)).padEnd(6) +
+        String(sum(d.fixed)).padEnd(8) +
+        sum(d.stillPresent)
+    );
+    printSignatures("+", d.newErrors);
+    printSignatures("-", d.fixed);
+  }
+  console.log("-".repeat(colFile + 30));
+  console.log(
+    "TOTAL".padEnd(colFile) + String(totals.newErrors).padEnd(6) + String(totals.fixed).padEnd(8) + totals.stillPresent
+  );
+  if (missing.length > 0) {
+    console.log("");
+    console.log("Not diagnosed (skipped): " + missing.join(", "));
+  }
+  if (otherEngine.length > 0) {
+    console.log("");
+    console.log(
+      "Diagnosed with another engine than the baseline (skipped): " +
+        otherEngine.map((d) => `${d.file} (${d.engine}, baseline ${d.baselineEngine})`).join(", ")
+    );
+  }
+
+  if (totals.newErrors > 0) {
+    console.log("");
+    console.log(`Regression: ${totals.newErrors} new error(s) since the baseline.`);
+    process.exit(1);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Clusters mode
+// ---------------------------------------------------------------------------
+
+// Rank the root causes across all diagnoses, printing the top `limit`
+function runClusters(limit) {
+  const reports = readDiagnoses();
+  const clusters = clusterDiagnoses(reports);
+  if (clusters.length === 0) {
+    console.log("No diagnosed errors. Run 'node diagnose.js --all' first.");
+    process.exit(0);
+  }
+
+  const total = clusters.reduce((n, c) => n + c.count, 0);
+  console.log(
+    `Root causes: ${total} errors in ${Object.keys(reports).length} documents, ${clusters.length} clusters`
+  );
+  console.log("");
+  console.log("#".padStart(3) + "  " + "Errors".padStart(6) + "  " + "Docs".padStart(4) + "  Root cause");
+  console.log("-".repeat(80));
+  const indent = " ".repeat(21);
+  clusters.slice(0, limit).forEach((c, i) => {
+    const documents = Object.entries(c.documents)
+      .sort((a, b) => b[1] - a[1])
+      .map(([name, n]) => `${name} (${n})`);
+    console.log(
+      String(i + 1).padStart(3) +
+        "  " +
+        String(c.count).padStart(6) +
+        "  " +
+        String(documents.length).padStart(4) +
+        "  " +
+        describeRootCause(c)
+    );
+    console.log(indent + documents.join(", "));
+    if (c.fixLocation) console.log(indent + "fix: " + c.fixLocation);
+    const line = c.example.scriptaLine ? `, line ${c.example.scriptaLine}` : "";
+    console.log(indent + `e.g. ${c.example.document} #${c.example.id}${line}: ${c.example.latexText.slice(0, 60)}`);
+  });
+  if (clusters.length > limit) {
+    const rest = clusters.slice(limit).reduce((n, c) => n + c.count, 0);
+    console.log(`... ${clusters.length - limit} more clusters (${rest} errors)`);
+  }
+}
+
 // ---------------------------------------------------------------------------
 // Single-file diagnosis
 // ---------------------------------------------------------------------------
 
-function runDiagnosis(basename) {
+// The raw TeX log for a document: an explicit --log file, else
+// <basename>.log next to the outputs, else the errorReport the PDF server
+// sent in place of structured errors. Null if there is none.
+function findLog(basename, errorsRaw, logPath) {
+  const candidates = [logPath, path.join(DOCS_DIR, basename + ".log")].filter(Boolean);
+  for (const candidate of candidates) {
+    if (fs.existsSync(candidate)) return fs.readFileSync(candidate, "utf-8");
+  }
+  if (logPath) throw new Error("Log file not found: " + logPath);
+  if (!Array.isArray(errorsRaw) && typeof errorsRaw.errorReport === "string") {
+    return errorsRaw.errorReport;
+  }
+  return null;
+}
+
+function sourceBlockFields(mapping) {
+  return {
+    id: mapping.blockId,
+    name: mapping.blockName,
+    scriptaBegin: mapping.scriptaBegin,
+    scriptaEnd: mapping.scriptaEnd,
+  };
+}
+
+// The error entries of a compile: the PDF server's array, none if it
+// reported success, else those parsed from the TeX log. `source` is
+// "errors.json" or "log"; null if there is nothing to go on.
+function errorEntriesFrom(errorsRaw, logText, texText) {
+  if (Array.isArray(errorsRaw)) {
+    return { entries: errorsRaw, source: "errors.json" };
+  } else if (errorsRaw.hasErrors === false) {
+    return { entries: [], source: "errors.json" };
+  } else if (logText !== null) {
+    return { entries: texlog.toErrorEntries(texlog.parseErrors(logText), texText), source: "log" };
+  }
+  return null;
+}
+
+// Classify error entries against the Scripta source and compiled LaTeX,
+// attributing each to its block when there is a source map. Entries are
+// numbered from 1 in order. `macros` is the worker's `macros` reply for the
+// source, if there is one.
+function diagnoseErrors(errorEntries, { scriptaText, texText, sourceMap = null, macros = null, ruleDirs = [] }) {
+  const scriptaLines = scriptaText.split("\n");
+  const latexLines = texText ? texText.split("\n") : [];
+
+  // User-defined macros in the .scripta source are not undefined commands
+  const userMacros = userMacrosIn(scriptaText, macros);
+  const rules = rulesFor(ruleDirs);
+
+  return errorEntries.map((entry, i) => {
+    const mapping = mappingForCompiledLine(sourceMap, latexLines, entry["latex-line"]);
+    if (mapping && !entry["scripta-line"]) {
+      entry = { ...entry, "scripta-line": mapping.scriptaBegin };
+    }
+    const result = { id: i + 1, ...classify(entry, scriptaLines, latexLines, userMacros, rules) };
+    if (mapping) {
+      result.sourceBlock = sourceBlockFields(mapping);
+    }
+    return result;
+  });
+}
+
+// Diagnose one document and write <basename>-diagnosis.json. The Scripta
+// source defaults to DOCS_DIR; run.js passes the path it exported from.
+// When <basename>-errors.json has no structured errors, they are parsed
+// from the TeX log (see findLog); overfull boxes in the log are reported
+// as warnings. `options.ruleDirs` adds rule packs to the built-in one.
+// `options.engine` is the TeX engine that compiled the document, recorded in
+// the report; without it, it is read from the log's banner, if there is one.
+// Returns the report; throws if an input file is missing or malformed.
+function diagnose(basename, options = {}) {
   const errorsPath = path.join(DOCS_DIR, basename + "-errors.json");
-  const scriptaPath = path.join(DOCS_DIR, basename + ".scripta");
-  const texPath = path.join(DOCS_DIR, basename + "-2.tex");
+  const scriptaPath = options.scriptaPath || path.join(DOCS_DIR, basename + ".scripta");
   const outputPath = path.join(DOCS_DIR, basename + "-diagnosis.json");
 
   // Check required files exist
   if (!fs.existsSync(errorsPath)) {
-    console.error("Error file not found:", errorsPath);
-    process.exit(1);
+    throw new Error("Error file not found: " + errorsPath);
   }
   if (!fs.existsSync(scriptaPath)) {
-    console.error("Scripta source not found:", scriptaPath);
-    process.exit(1);
+    throw new Error("Scripta source not found: " + scriptaPath);
   }
 
   // Load files
   const errorsRaw = JSON.parse(fs.readFileSync(errorsPath, "utf-8"));
-
-  // Handle the {hasErrors: false} case
-  if (!Array.isArray(errorsRaw)) {
-    if (errorsRaw.hasErrors === false) {
-      const report = {
-        file: basename,
-        totalErrors: 0,
-        categories: {},
-        errors: [],
-        summary: "No errors.",
-      };
-      fs.writeFileSync(outputPath, JSON.stringify(report, null, 2));
-      console.log(basename + ": No errors. Wrote:", outputPath);
-      return;
-    }
-    console.error("Unexpected format in", errorsPath);
-    process.exit(1);
+  const logText = findLog(basename, errorsRaw, options.logPath);
+
+  // The LaTeX that was compiled, or failing that the LaTeX that was exported
+  const texPath = [basename + "-2.tex", basename + ".tex"]
+    .map((f) => path.join(DOCS_DIR, f))
+    .find((f) => fs.existsSync(f));
+  const texText = texPath ? fs.readFileSync(texPath, "utf-8") : "";
+  const latexLines = texText ? texText.split("\n") : [];
+
+  const parsed = errorEntriesFrom(errorsRaw, logText, texText);
+  if (parsed === null) {
+    throw new Error("Unexpected format in " + errorsPath + " (no error array and no TeX log to parse)");
   }
-
-  const scriptaLines = fs.readFileSync(scriptaPath, "utf-8").split("\n");
-  const latexLines = fs.existsSync(texPath)
-    ? fs.readFileSync(texPath, "utf-8").split("\n")
-    : [];
-
-  // Extract user-defined macros from the .scripta file to avoid false positives
-  const userMacros = extractUserMacros(scriptaPath);
-
-  // Classify each error
-  const diagnosed = errorsRaw.map((entry, i) => ({
-    id: i + 1,
-    ...classify(entry, scriptaLines, latexLines, userMacros),
-  }));
+  const { entries: errorEntries, source: errorSource } = parsed;
+
+  const scriptaText = fs.readFileSync(scriptaPath, "utf-8");
+  const scriptaLines = scriptaText.split("\n");
+
+  // Attribute each error to its source block through <basename>-sourcemap.json
+  const sourceMap = loadSourceMap(DOCS_DIR, basename);
+
+  // The document's macros as the compiler read them (<basename>-macros.json)
+  const macros = loadMacros(DOCS_DIR, basename);
+
+  const diagnosed = diagnoseErrors(errorEntries, {
+    scriptaText,
+    texText,
+    sourceMap,
+    macros,
+    ruleDirs: options.ruleDirs,
+  });
+
+  // Overfull boxes: not errors, but usually an exporter layout problem
+  const warnings = logText === null ? [] : texlog
+    .toWarningEntries(texlog.parseWarnings(logText), texText)
+    .map((entry) => {
+      const mapping = mappingForCompiledLine(sourceMap, latexLines, entry["latex-line"]);
+      const scriptaLine = entry["scripta-line"] || (mapping ? mapping.scriptaBegin : 0);
+      const warning = {
+        kind: entry.kind,
+        message: entry.message,
+        scriptaLine,
+        scriptaContext: extractContext(scriptaLines, scriptaLine - 1, 1),
+        latexLine: entry["latex-line"],
+        latexText: entry["latex-text"],
+      };
+      if (mapping) warning.sourceBlock = sourceBlockFields(mapping);
+      return warning;
+    });
 
   // Aggregate categories
   const categories = {};
@@ -368,18 +457,41 @@ function runDiagnosis(basename) {
   // Build summary string
   const sorted = Object.entries(categories).sort((a, b) => b[1] - a[1]);
   const topStr = sorted.map(([cat, n]) => `${cat} (${n})`).join(", ");
-  const summary = `${diagnosed.length} errors across ${sorted.length} categories. Breakdown: ${topStr}`;
+  let summary = diagnosed.length === 0
+    ? "No errors."
+    : `${diagnosed.length} errors across ${sorted.length} categories. Breakdown: ${topStr}`;
+  if (warnings.length > 0) {
+    summary += ` ${warnings.length} overfull box warning(s).`;
+  }
 
   const report = {
     file: basename,
+    engine: options.engine || (logText === null ? null : texlog.engineOf(logText)),
     totalErrors: diagnosed.length,
     categories,
     errors: diagnosed,
     summary,
   };
+  if (errorSource === "log") report.errorSource = "log";
+  if (warnings.length > 0) report.warnings = warnings;
 
   fs.writeFileSync(outputPath, JSON.stringify(report, null, 2));
-  console.log(`${basename}: ${diagnosed.length} errors diagnosed. Wrote: ${outputPath}`);
+  if (diagnosed.length === 0) {
+    console.log(basename + ": No errors. Wrote:", outputPath);
+  } else {
+    const from = errorSource === "log" ? " (parsed from TeX log)" : "";
+    console.log(`${basename}: ${diagnosed.length} errors diagnosed${from}. Wrote: ${outputPath}`);
+  }
+  return report;
+}
+
+function runDiagnosis(basename, options = {}) {
+  try {
+    diagnose(basename, options);
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
 }
 
 // ---------------------------------------------------------------------------
@@ -389,26 +501,73 @@ function runDiagnosis(basename) {
 function usage() {
   console.error("Usage:");
   console.error("  node diagnose.js <basename>     Diagnose a single file");
+  console.error("  node diagnose.js <basename> --log FILE");
+  console.error("                                 ... reading errors and warnings from a TeX .log");
   console.error("  node diagnose.js --summary      Print summary of all diagnoses");
   console.error("  node diagnose.js --all           Diagnose all error files");
+  console.error("  node diagnose.js --baseline [FILE]");
+  console.error("                                 Record the current diagnoses as the baseline");
+  console.error("  node diagnose.js --check [FILE] List new, fixed and still-present errors since");
+  console.error("                                 the baseline; exit 1 if there are new ones");
+  console.error("                                 (FILE defaults to diagnosis-baseline.json next to diagnose.js)");
+  console.error("  node diagnose.js --clusters [N] Rank the root causes shared across all diagnoses,");
+  console.error("                                 printing the top N (default 20)");
+  console.error("");
+  console.error("  --rules DIR                     Also load the rule pack in DIR (repeatable)");
+  console.error("  --engine NAME                   The TeX engine the documents were compiled with,");
+  console.error("                                 recorded in the diagnosis (default: from the TeX log)");
   process.exit(1);
 }
 
-const args = process.argv.slice(2);
-if (args.length < 1) usage();
-
-if (args[0] === "--summary") {
-  runSummary();
-} else if (args[0] === "--all") {
-  const errorFiles = fs
-    .readdirSync(DOCS_DIR)
-    .filter((f) => f.endsWith("-errors.json"));
-  for (const f of errorFiles.sort()) {
-    const base = f.replace(/-errors\.json$/, "");
-    if (fs.existsSync(path.join(DOCS_DIR, base + ".scripta"))) {
-      runDiagnosis(base);
+function main() {
+  const args = [];
+  const options = { ruleDirs: [] };
+  const argv = process.argv.slice(2);
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--rules" || argv[i] === "--log" || argv[i] === "--engine") {
+      if (!argv[i + 1]) usage();
+      if (argv[i] === "--rules") options.ruleDirs.push(path.resolve(argv[++i]));
+      else if (argv[i] === "--engine") options.engine = argv[++i];
+      else options.logPath = argv[++i];
+    } else {
+      args.push(argv[i]);
     }
   }
-} else {
-  runDiagnosis(args[0]);
+  if (args.length < 1) usage();
+
+  if (args[0] === "--baseline" || args[0] === "--check") {
+    if (args.length > 2) usage();
+    const baselinePath = args[1] ? path.resolve(args[1]) : DEFAULT_BASELINE;
+    if (args[0] === "--baseline") runBaseline(baselinePath);
+    else runCheck(baselinePath);
+  } else if (args[0] === "--clusters") {
+    if (args.length > 2) usage();
+    const limit = args[1] === undefined ? 20 : parseInt(args[1], 10);
+    if (!(limit >= 1)) usage();
+    runClusters(limit);
+  } else if (args.length !== 1) {
+    usage();
+  } else if (args[0] === "--summary") {
+    runSummary();
+  } else if (args[0] === "--all") {
+    const errorFiles = fs
+      .readdirSync(DOCS_DIR)
+      .filter((f) => f.endsWith("-errors.json"));
+    for (const f of errorFiles.sort()) {
+      const base = f.replace(/-errors\.json$/, "");
+      if (fs.existsSync(path.join(DOCS_DIR, base + ".scripta"))) {
+        runDiagnosis(base, { ruleDirs: options.ruleDirs, engine: options.engine });
+      }
+    }
+  } else if (args[0].startsWith("--")) {
+    usage();
+  } else {
+    runDiagnosis(args[0], options);
+  }
 }
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { diagnose, diagnoseErrors, errorEntriesFrom, summaryRow, printSummaryTable, DOCS_DIR };
@@ -0,0 +1,184 @@
+#!/usr/bin/env node
+
+/**
+ * Suggested source fixes from a diagnosis, as a unified diff.
+ *
+ * Some errors are the author's to fix: a bare ^ or _ (math-mode), an
+ * unescaped & # % (escaping), a \newcommand outside | mathmacros
+ * (undefined-command). diagnose.js records an edit to the .scripta source
+ * for them (`sourceFix`, see sourcefix.js). This prints those edits as a
+ * diff against the source; with --apply it writes them, exports and
+ * compiles the document again as run.js does, and checks that each fixed
+ * error is gone.
+ *
+ * Usage:
+ *   node fix.js <basename> [options]
+ *
+ * The diff's paths are relative to the repository root, so
+ * `node fix.js manual | git apply` works too.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { createBackend, ENGINES, DEFAULT_SERVER } = require("./backend");
+const { DOCS_DIR } = require("./diagnose");
+const { applyFixes, mapLine, unifiedDiff } = require("./sourcefix");
+
+const REPO_ROOT = path.join(__dirname, "..", "..");
+
+// ---------------------------------------------------------------------------
+// Fixes
+// ---------------------------------------------------------------------------
+
+function readDiagnosis(basename) {
+  const diagnosisPath = path.join(DOCS_DIR, basename + "-diagnosis.json");
+  if (!fs.existsSync(diagnosisPath)) {
+    throw new Error("Diagnosis not found: " + diagnosisPath + " (run `node diagnose.js " + basename + "` first)");
+  }
+  return JSON.parse(fs.readFileSync(diagnosisPath, "utf-8"));
+}
+
+// The suggested fixes of a report, each with the errors it addresses;
+// errors in the same block often suggest the same edit
+function collectFixes(report) {
+  const fixes = new Map();
+  for (const error of report.errors || []) {
+    if (!error.sourceFix) continue;
+    const key = JSON.stringify(error.sourceFix.edits);
+    if (!fixes.has(key)) fixes.set(key, { ...error.sourceFix, errors: [] });
+    fixes.get(key).errors.push(error);
+  }
+  return [...fixes.values()];
+}
+
+// Where an error would show up after the edits: same rule, same unknown
+// commands, on the line its Scripta line moved to
+function stillPresent(error, edits, report) {
+  const line = error.scriptaLine ? mapLine(edits, error.scriptaLine) : null;
+  const commands = JSON.stringify([...(error.unknownCommands || [])].sort());
+  return (report.errors || []).some(
+    (e) =>
+      e.category === error.category &&
+      e.pattern === error.pattern &&
+      JSON.stringify([...(e.unknownCommands || [])].sort()) === commands &&
+      (line === null || e.scriptaLine === line)
+  );
+}
+
+// ---------------------------------------------------------------------------
+// Main
+// ---------------------------------------------------------------------------
+
+function usage() {
+  console.error("Usage: node fix.js <basename> [options]");
+  console.error("");
+  console.error("Prints the source fixes diagnose.js suggests for <basename> as a unified diff.");
+  console.error("");
+  console.error("Options:");
+  console.error("  --apply                Write the fixes to the source, then export, compile and");
+  console.error("                         diagnose it again; exit 1 if a fixed error is still there");
+  console.error("  --scripta FILE         Source to fix (default: <basename>.scripta in the test docs)");
+  console.error("  --backend http|local   Where to compile the LaTeX (default: http)");
+  console.error("  --server URL           PDF server for the http backend (default: " + DEFAULT_SERVER + ")");
+  console.error("  --engine NAME          TeX engine: " + ENGINES.join(", ") + " (default: the diagnosis's, else pdflatex)");
+  console.error("  --options FILE         Export options, as for run.js");
+  console.error("  --rules DIR            Also classify with the rule pack in DIR (repeatable)");
+  process.exit(1);
+}
+
+function parseArgs(argv) {
+  const opts = { apply: false, backend: "http", server: DEFAULT_SERVER, engine: null, ruleDirs: [], positional: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const takesValue = ["--scripta", "--backend", "--server", "--engine", "--options", "--rules"].includes(arg);
+    if (takesValue && i + 1 >= argv.length) usage();
+
+    if (arg === "--apply") {
+      opts.apply = true;
+    } else if (arg === "--backend" || arg === "--server" || arg === "--engine" || arg === "--scripta") {
+      opts[arg.slice(2)] = argv[++i];
+    } else if (arg === "--options") {
+      opts.optionsFile = argv[++i];
+    } else if (arg === "--rules") {
+      opts.ruleDirs.push(path.resolve(argv[++i]));
+    } else if (arg.startsWith("--")) {
+      console.error("Unknown option:", arg);
+      usage();
+    } else {
+      opts.positional.push(arg);
+    }
+  }
+  if (opts.positional.length !== 1) usage();
+  return opts;
+}
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  const [basename] = opts.positional;
+
+  try {
+    const report = readDiagnosis(basename);
+    const fixes = collectFixes(report);
+    if (fixes.length === 0) {
+      console.log(basename + ": no suggested source fixes.");
+      process.exit(0);
+    }
+
+    const scriptaPath = path.resolve(opts.scripta || path.join(DOCS_DIR, basename + ".scripta"));
+    const original = fs.readFileSync(scriptaPath, "utf-8");
+    const lines = original.split("\n");
+    const { lines: fixedLines, applied, skipped, edits } = applyFixes(lines, fixes);
+
+    for (const fix of applied) {
+      const ids = fix.errors.map((e) => "#" + e.id).join(", ");
+      console.log(`# ${fix.description} (${fix.errors[0].category}, error ${ids})`);
+    }
+    for (const { fix, reason } of skipped) {
+      console.log(`# Skipped: ${fix.description} (${reason})`);
+    }
+    const name = path.relative(REPO_ROOT, scriptaPath).split(path.sep).join("/");
+    process.stdout.write(unifiedDiff(name, lines, edits));
+
+    if (!opts.apply || applied.length === 0) process.exit(0);
+
+    fs.writeFileSync(scriptaPath, fixedLines.join("\n"));
+    console.log("");
+    console.log("Wrote: " + scriptaPath);
+
+    // Export, compile and diagnose the fixed source as run.js does
+    const { createCompiler } = require("./compiler");
+    const { processDocument } = require("./run");
+    // With the engine the errors came from
+    const engine = opts.engine || report.engine || "pdflatex";
+    const exportOptions = opts.optionsFile ? JSON.parse(fs.readFileSync(opts.optionsFile, "utf-8")) : {};
+    exportOptions.engine = engine;
+    const backend = createBackend(opts.backend, { server: opts.server, engine });
+    const row = await processDocument(createCompiler(), backend, { exportOptions, ruleDirs: opts.ruleDirs, engine }, scriptaPath);
+    if (row.failed || row.topCategory === "not diagnosed") {
+      throw new Error("Could not check the fixed source: " + row.topCategory);
+    }
+
+    const after = readDiagnosis(path.basename(scriptaPath, ".scripta"));
+    let remaining = 0;
+    console.log("");
+    for (const fix of applied) {
+      for (const error of fix.errors) {
+        const present = stillPresent(error, edits, after);
+        if (present) remaining++;
+        console.log(`  ${present ? "still present" : "fixed        "}  #${error.id} ${error.category}: ${fix.description}`);
+      }
+    }
+    console.log("");
+    console.log(`${basename}: ${after.totalErrors} error(s) after the fixes.`);
+    process.exit(remaining > 0 ? 1 : 0);
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { collectFixes };
@@ -0,0 +1,400 @@
+#!/usr/bin/env node
+
+/**
+ * Generates known-commands.json, the registry of LaTeX control sequences that
+ * diagnose.js treats as defined, from the Elm sources that decide what the
+ * exported LaTeX may contain:
+ *
+ *   src/ETeX/KaTeX.elm             the KaTeX command lists (math mode)
+ *   src/Render/Export/LaTeX.elm    functionDict, aliases, macroDict, blockDict,
+ *                                  verbatimExprDict and every command the
+ *                                  exporter writes in a string literal
+ *   src/Render/Export/Preamble.elm the packages it loads and the commands
+ *                                  it defines (\newcommand, \providecommand,
+ *                                  \def, ...) or uses
+ *
+ * Commands that come from LaTeX itself or from a package the preamble loads
+ * cannot be read from the Elm sources; they are listed below.
+ *
+ * Usage:
+ *   node known-commands.js           Regenerate the registry and report drift
+ *   node known-commands.js --check   Report drift only; exit 1 if the registry
+ *                                    is out of date
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const SRC_DIR = path.join(__dirname, "..", "..", "src");
+const REGISTRY_PATH = path.join(__dirname, "known-commands.json");
+const REGISTRY_VERSION = 1;
+
+const SOURCES = {
+  katex: "ETeX/KaTeX.elm",
+  exporter: "Render/Export/LaTeX.elm",
+  preamble: "Render/Export/Preamble.elm",
+};
+
+// ---------------------------------------------------------------------------
+// Commands not defined in the Elm sources
+// ---------------------------------------------------------------------------
+
+// LaTeX kernel and standard class commands the exporter relies on
+const LATEX_KERNEL = [
+  "begin", "end", "item", "par", "newline", "noindent", "indent", "label", "ref", "pageref",
+  "cite", "bibitem", "footnote", "caption", "centering", "emph", "textbf", "textit", "textsl",
+  "textsc", "textrm", "textsf", "texttt", "textup", "textmd", "textnormal", "underline",
+  "bf", "it", "sl", "sc", "rm", "tt", "em",
+  "tiny", "scriptsize", "footnotesize", "small", "normalsize", "large", "Large", "LARGE", "huge", "Huge",
+  "part", "section", "subsection", "subsubsection", "paragraph", "subparagraph",
+  "tableofcontents", "maketitle", "title", "author", "date", "today", "thanks", "appendix",
+  "and", "documentclass", "usepackage", "newcommand", "renewcommand", "providecommand",
+  "newenvironment", "renewenvironment", "newtheorem", "def", "let", "relax",
+  "setcounter", "addtocounter", "stepcounter", "newcounter", "value", "arabic", "roman",
+  "setlength", "addtolength", "hspace", "vspace", "hfill", "vfill", "hfil", "vfil",
+  "quad", "qquad", "bigskip", "medskip", "smallskip", "vglue", "hglue", "vskip", "hskip",
+  "newpage", "clearpage", "pagebreak", "linebreak", "nolinebreak", "nopagebreak",
+  "makebox", "mbox", "fbox", "framebox", "parbox", "raisebox", "rule", "hrule", "vrule",
+  "textwidth", "linewidth", "columnwidth", "paperwidth", "textheight", "baselineskip",
+  "parindent", "parskip", "leftskip", "rightskip", "hangindent", "hangafter",
+  "leftmargin", "rightmargin", "list", "endlist", "refname", "labelitemi",
+  "textbullet", "textbackslash", "textasciitilde", "textasciicircum", "textbar", "textless",
+  "textgreater", "backslash", "ldots", "dots", "cdots", "vdots", "ddots", "vdash", "models", "u", "LaTeX", "TeX", "S", "P", "dag", "ddag", "copyright",
+  "hline", "cline", "multicolumn", "tabularnewline", "arraystretch", "protect",
+  "input", "include", "includeonly", "string", "verb", "the", "number", "csname", "endcsname",
+];
+
+// Commands provided by packages, by package name. Only packages that the
+// preamble loads contribute to the registry.
+const PACKAGE_COMMANDS = {
+  amsmath: ["text", "eqref", "tag", "notag", "nonumber", "intertext", "operatorname",
+    "DeclareMathOperator", "dfrac", "tfrac", "binom", "dbinom", "tbinom", "boxed", "substack",
+    "overset", "underset", "xrightarrow", "xleftarrow", "numberwithin", "allowdisplaybreaks"],
+  amssymb: ["mathbb", "mathfrak", "vDash", "Vdash", "square", "blacksquare", "boxtimes", "checkmark",
+    "varnothing", "lesssim", "gtrsim", "therefore", "because"],
+  amsthm: ["qedhere", "qed", "qedsymbol", "theoremstyle", "proofname"],
+  changepage: ["adjustwidth"],
+  fancyvrb: ["Verb", "VerbatimInput"],
+  fontspec: ["fontspec", "setmainfont", "setsansfont", "setmonofont", "newfontfamily", "addfontfeatures"],
+  geometry: ["geometry", "newgeometry", "restoregeometry"],
+  graphicx: ["includegraphics", "graphicspath", "scalebox", "resizebox", "rotatebox"],
+  hyperref: ["href", "url", "nolinkurl", "hyperref", "hypersetup", "hypertarget", "hyperlink",
+    "texorpdfstring", "autoref", "phantomsection"],
+  imakeidx: ["makeindex", "printindex", "index", "indexprologue"],
+  listings: ["lstinline", "lstset", "lstinputlisting"],
+  mhchem: ["ce", "cee", "cf"],
+  soul: ["hl", "st", "ul", "so", "caps", "sethlcolor"],
+  tcolorbox: ["tcbset", "tcbuselibrary", "newtcolorbox"],
+  "tikz-cd": ["arrow", "ar"],
+  tikz: ["tikz", "draw", "node", "fill", "path", "usetikzlibrary"],
+  "unicode-math": ["setmathfont", "symbf", "symit", "symup", "symbb", "symcal", "symscr", "symfrak"],
+  ulem: ["uline", "uuline", "uwave", "sout", "xout", "dashuline", "dotuline"],
+  wrapfig: ["wrapfigure"],
+  xcolor: ["color", "textcolor", "colorbox", "fcolorbox", "definecolor", "pagecolor"],
+};
+
+// ---------------------------------------------------------------------------
+// Reading Elm source
+// ---------------------------------------------------------------------------
+
+const ESCAPES = { n: "\n", t: "\t", r: "\r", '"': '"', "'": "'", "\\": "\\" };
+
+// The string literals of an Elm module, unescaped, with their offsets, and
+// the offsets of top-level declarations (code starting in column 0).
+// Comments and char literals are skipped.
+function lexElm(text) {
+  const strings = [];
+  const topLevel = [];
+  let i = 0;
+
+  const readString = (close) => {
+    let value = "";
+    while (i < text.length && !text.startsWith(close, i)) {
+      if (text[i] === "\\") {
+        const next = text[i + 1];
+        const unicode = /^u\{([0-9A-Fa-f]+)\}/.exec(text.slice(i + 1, i + 12));
+        if (unicode) {
+          value += String.fromCodePoint(parseInt(unicode[1], 16));
+          i += 1 + unicode[0].length;
+        } else {
+          value += next in ESCAPES ? ESCAPES[next] : next;
+          i += 2;
+        }
+      } else {
+        value += text[i++];
+      }
+    }
+    i += close.length;
+    return value;
+  };
+
+  while (i < text.length) {
+    const start = i;
+    if (text.startsWith("--", i)) {
+      while (i < text.length && text[i] !== "\n") i++;
+    } else if (text.startsWith("{-", i)) {
+      let depth = 0;
+      do {
+        if (text.startsWith("{-", i)) { depth++; i += 2; }
+        else if (text.startsWith("-}", i)) { depth--; i += 2; }
+        else i++;
+      } while (depth > 0 && i < text.length);
+    } else if (text.startsWith('"""', i)) {
+      i += 3;
+      strings.push({ offset: start, value: readString('"""') });
+    } else if (text[i] === '"') {
+      i += 1;
+      strings.push({ offset: start, value: readString('"') });
+    } else if (text[i] === "'") {
+      i += 1;
+      readString("'");
+    } else {
+      if ((start === 0 || text[start - 1] === "\n") && /\S/.test(text[start])) topLevel.push(start);
+      i++;
+    }
+  }
+
+  return { strings, topLevel };
+}
+
+// The source range of a top-level declaration: from its definition line to
+// the next top-level declaration
+function declarationRange(text, lexed, name) {
+  const m = new RegExp("^" + name + "(?: [a-z_]\\w*)* =", "m").exec(text);
+  if (!m) throw new Error("Cannot find the definition of " + name);
+  const end = lexed.topLevel.find((offset) => offset > m.index) || text.length;
+  return [m.index, end];
+}
+
+function stringsIn(lexed, [begin, end]) {
+  return lexed.strings.filter((s) => s.offset >= begin && s.offset < end).map((s) => s.value);
+}
+
+// Keys of a `Dict.fromList [ ( "key", ... ) ]` declaration, one entry per line
+// as elm-format lays it out
+function dictKeys(text, lexed, name) {
+  const [begin, end] = declarationRange(text, lexed, name);
+  const entry = /^\s*[[,]\s*\(\s*"([^"]+)"\s*,/gm;
+  const keys = [];
+  for (const m of text.slice(begin, end).matchAll(entry)) keys.push(m[1]);
+  return keys;
+}
+
+// Values of a `Dict String String`, reduced to the command they begin with
+// ("textcolor{red}" is \textcolor)
+function dictCommandValues(text, lexed, name) {
+  const [begin, end] = declarationRange(text, lexed, name);
+  const entry = /^\s*[[,]\s*\(\s*"[^"]+"\s*,\s*"([A-Za-z]+)[^"]*"\s*\)/gm;
+  const values = [];
+  for (const m of text.slice(begin, end).matchAll(entry)) values.push(m[1]);
+  return values;
+}
+
+// TeX source with % comments removed
+function stripTeXComments(tex) {
+  return tex.replace(/(^|[^\\])%.*$/gm, "$1");
+}
+
+function controlSequences(tex) {
+  return [...stripTeXComments(tex).matchAll(/\\([A-Za-z]+)/g)].map((m) => m[1]);
+}
+
+const sorted = (names) => [...new Set(names)].sort();
+
+// ---------------------------------------------------------------------------
+// Sources
+// ---------------------------------------------------------------------------
+
+function readSource(srcDir, relative) {
+  const text = fs.readFileSync(path.join(srcDir, relative), "utf-8");
+  return { text, lexed: lexElm(text) };
+}
+
+// Every `name : List String` in ETeX.KaTeX, by name
+function readKaTeX(srcDir) {
+  const { text, lexed } = readSource(srcDir, SOURCES.katex);
+  const lists = {};
+  for (const m of text.matchAll(/^(\w+) : List String$/gm)) {
+    lists[m[1]] = sorted(stringsIn(lexed, declarationRange(text, lexed, m[1])));
+  }
+  return lists;
+}
+
+function readExporter(srcDir) {
+  const { text, lexed } = readSource(srcDir, SOURCES.exporter);
+  return {
+    functionDict: sorted(dictCommandValues(text, lexed, "functionDict")),
+    aliases: sorted(dictCommandValues(text, lexed, "aliases")),
+    macroDict: sorted(dictKeys(text, lexed, "macroDict")),
+    blockDict: sorted(dictKeys(text, lexed, "blockDict")),
+    verbatimExprDict: sorted(dictKeys(text, lexed, "verbatimExprDict")),
+    emitted: sorted(lexed.strings.flatMap((s) => controlSequences(s.value))),
+  };
+}
+
+function readPreamble(srcDir) {
+  const { text, lexed } = readSource(srcDir, SOURCES.preamble);
+  const literals = lexed.strings.map((s) => stripTeXComments(s.value));
+  const tex = literals.join("\n");
+
+  // Literal \usepackage lines only; newPackageText builds the rest from packageList
+  const loaded = literals
+    .flatMap((literal) => [...literal.matchAll(/\\usepackage(?:\[[^\]]*\])?\{([^}]+)\}/g)])
+    .flatMap((m) => m[1].split(",").map((p) => p.trim()));
+  // packageList: packages added when a document uses a given element
+  const [begin, end] = declarationRange(text, lexed, "packageList");
+  const conditional = [...text.slice(begin, end).matchAll(/^\s*[[,]\s*\(\s*"[^"]+"\s*,\s*\[([^\]]*)\]/gm)]
+    .flatMap((m) => [...m[1].matchAll(/"([^"]+)"/g)].map((p) => p[1]));
+
+  const defined = [
+    ...tex.matchAll(/\\(?:newcommand|renewcommand|providecommand)\*?\{?\\([A-Za-z]+)/g),
+    ...tex.matchAll(/\\(?:def|let)\\([A-Za-z]+)/g),
+  ].map((m) => m[1]);
+  const environments = [
+    ...tex.matchAll(/\\(?:newtheorem|newenvironment|renewenvironment)\{([A-Za-z*]+)\}/g),
+  ].map((m) => m[1]);
+
+  return {
+    packages: sorted([...loaded, ...conditional]),
+    defined: sorted(defined),
+    environments: sorted(environments),
+    used: sorted(controlSequences(tex)),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Registry
+// ---------------------------------------------------------------------------
+
+function generate(srcDir = SRC_DIR) {
+  const katex = readKaTeX(srcDir);
+  const exporter = readExporter(srcDir);
+  const preamble = readPreamble(srcDir);
+  const packages = {};
+  for (const name of preamble.packages) {
+    if (PACKAGE_COMMANDS[name]) packages[name] = sorted(PACKAGE_COMMANDS[name]);
+  }
+
+  const commands = sorted([
+    ...Object.values(katex).flat(),
+    ...preamble.defined,
+    ...LATEX_KERNEL,
+    ...Object.values(packages).flat(),
+  ]);
+
+  return {
+    version: REGISTRY_VERSION,
+    sources: Object.values(SOURCES).map((s) => "src/" + s),
+    katex,
+    exporter,
+    preamble,
+    latex: { kernel: sorted(LATEX_KERNEL), packages },
+    commands,
+  };
+}
+
+// Commands the exporter or the preamble writes that nothing in the registry
+// defines. These are the ones that turn into "Undefined control sequence"
+// errors.
+function undefinedEmitted(registry) {
+  const known = new Set(registry.commands);
+  const { exporter, preamble } = registry;
+  const emitted = [...exporter.emitted, ...exporter.functionDict, ...exporter.aliases, ...preamble.used];
+  return sorted(emitted.filter((c) => !known.has(c)));
+}
+
+// Added and removed names for every list in the registry, by dotted path
+function drift(previous, current, prefix = "") {
+  const changes = [];
+  for (const key of sorted([...Object.keys(previous || {}), ...Object.keys(current || {})])) {
+    const before = previous ? previous[key] : undefined;
+    const after = current ? current[key] : undefined;
+    const where = prefix + key;
+    if (Array.isArray(before) || Array.isArray(after)) {
+      const old = new Set(before || []);
+      const now = new Set(after || []);
+      const added = [...now].filter((x) => !old.has(x));
+      const removed = [...old].filter((x) => !now.has(x));
+      if (added.length || removed.length) changes.push({ where, added, removed });
+    } else if ((before && typeof before === "object") || (after && typeof after === "object")) {
+      changes.push(...drift(before, after, where + "."));
+    } else if (before !== after) {
+      changes.push({ where, added: [String(after)], removed: [String(before)] });
+    }
+  }
+  return changes;
+}
+
+function loadRegistry(registryPath = REGISTRY_PATH) {
+  if (!fs.existsSync(registryPath)) return null;
+  return JSON.parse(fs.readFileSync(registryPath, "utf-8"));
+}
+
+function printDrift(changes) {
+  for (const { where, added, removed } of changes) {
+    console.log("  " + where + ":");
+    if (added.length) console.log("    + " + added.join(" "));
+    if (removed.length) console.log("    - " + removed.join(" "));
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Main
+// ---------------------------------------------------------------------------
+
+function main() {
+  const args = process.argv.slice(2);
+  const check = args.includes("--check");
+  if (args.some((a) => a !== "--check")) {
+    console.error("Usage: node known-commands.js [--check]");
+    process.exit(1);
+  }
+
+  const previous = loadRegistry();
+  const current = generate();
+  const changes = drift(previous, current);
+
+  if (changes.length === 0) {
+    console.log("known-commands.json is up to date (" + current.commands.length + " commands).");
+  } else {
+    console.log((previous ? "Drift from" : "No") + " known-commands.json:");
+    printDrift(changes);
+  }
+
+  const missing = undefinedEmitted(current);
+  if (missing.length > 0) {
+    console.log("");
+    console.log("Written by the exporter or preamble but not defined by KaTeX, the preamble or a loaded package:");
+    console.log("  " + missing.map((c) => "\\" + c).join(" "));
+  }
+
+  if (check) {
+    if (changes.length > 0) {
+      console.log("");
+      console.log("Run `make known-commands` to regenerate the registry.");
+      process.exit(1);
+    }
+    return;
+  }
+
+  if (changes.length > 0) {
+    fs.writeFileSync(REGISTRY_PATH, JSON.stringify(current, null, 2) + "\n");
+    console.log("Wrote: " + REGISTRY_PATH);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  generate,
+  drift,
+  undefinedEmitted,
+  loadRegistry,
+  REGISTRY_PATH,
+  // Elm source reading, shared with coverage.js
+  lexElm,
+  declarationRange,
+  dictKeys,
+};
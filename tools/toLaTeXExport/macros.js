@@ -0,0 +1,48 @@
+/**
+ * The macros a document defines (<basename>-macros.json), as read by the
+ * compiler: the worker's `macros` reply, written by run.js next to the
+ * source map.
+ *
+ *   { "mathMacros": [ { "name": "reals", "arity": 0 } ],
+ *     "textMacros": [ { "name": "hello", "arity": 1 } ] }
+ *
+ * diagnose.js does not count these as undefined commands.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+function macrosPath(dir, basename) {
+  return path.join(dir, basename + "-macros.json");
+}
+
+function writeMacros(dir, basename, macros) {
+  const filePath = macrosPath(dir, basename);
+  fs.writeFileSync(filePath, JSON.stringify(macros, null, 2));
+  return filePath;
+}
+
+// The macros of <basename>, or null if there are none on file
+function loadMacros(dir, basename) {
+  const filePath = macrosPath(dir, basename);
+  if (!fs.existsSync(filePath)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf-8"));
+  } catch (_) {
+    return null;
+  }
+}
+
+// Map from control sequence ("\\reals") to the block that defines it
+// ("mathmacros" or "textmacros")
+function macroCommands(macros) {
+  const commands = new Map();
+  const add = (list, block) => {
+    for (const { name } of list || []) commands.set("\\" + name.replace(/^\\/, ""), block);
+  };
+  add(macros.textMacros, "textmacros");
+  add(macros.mathMacros, "mathmacros");
+  return commands;
+}
+
+module.exports = { writeMacros, loadMacros, macroCommands };
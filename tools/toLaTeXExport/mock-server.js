@@ -0,0 +1,220 @@
+#!/usr/bin/env node
+
+/**
+ * Stand-in for the PDF server, speaking the protocol run.js uses:
+ *
+ *   POST /tex                   {id, content, urlList, packageList, engine?}
+ *                            -> {tex, hasErrors, errorJson, errorReport}
+ *   GET  /pdf/<basename>-errors.json
+ *                            -> the structured errors of the last POST
+ *
+ * Two modes:
+ *
+ *   fixtures (default) — responses are scripted per document. For a POST with
+ *     id "manual.tex" the server reads <fixtures>/manual.json:
+ *
+ *       { "response": { "hasErrors": true, "errorReport": "..." },
+ *         "errors":   [ { "scripta-line": 51, "latex-line": 302, ... } ] }
+ *
+ *     `response` is returned as-is (with `tex` defaulting to the posted
+ *     content); `errors` is what GET /pdf/manual-errors.json serves. Leaving
+ *     `errorJson` out of `response` exercises run.js's fallback fetch.
+ *     Documents without a fixture compile cleanly.
+ *
+ *   real — compile with a local TeX engine through the local backend: the
+ *     POST's `engine` if it has one, else --engine.
+ *
+ * Usage:
+ *   node mock-server.js [--port 3000] [--fixtures DIR]
+ *   node mock-server.js --real [--engine pdflatex] [--omit-error-json]
+ *   node mock-server.js [options] -- <command...>
+ *
+ * With `-- <command...>` the server runs only as long as the command does,
+ * and exits with the command's status.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const http = require("http");
+const { spawn } = require("child_process");
+const { localBackend } = require("./backend");
+
+const DEFAULT_PORT = 3000;
+const DEFAULT_FIXTURES = path.join(__dirname, "mock-fixtures");
+
+// ---------------------------------------------------------------------------
+// Responders
+// ---------------------------------------------------------------------------
+
+function loadFixture(fixturesDir, basename) {
+  const fixturePath = path.join(fixturesDir, basename + ".json");
+  if (!fs.existsSync(fixturePath)) {
+    return { response: { hasErrors: false }, errors: null };
+  }
+  return JSON.parse(fs.readFileSync(fixturePath, "utf-8"));
+}
+
+function fixtureResponder(fixturesDir) {
+  return async ({ basename, content }) => {
+    const fixture = loadFixture(fixturesDir, basename);
+    return {
+      response: { tex: content, ...fixture.response },
+      errors: fixture.errors || null,
+    };
+  };
+}
+
+// Compile with the engine the POST names, else --engine
+function realResponder(options) {
+  const backends = new Map();
+  const backendFor = (engine) => {
+    if (!backends.has(engine)) backends.set(engine, localBackend({ engine }));
+    return backends.get(engine);
+  };
+  return async ({ engine, ...request }) => {
+    const result = await backendFor(engine || options.engine).compile(request);
+    const response = {
+      tex: result.tex,
+      hasErrors: result.hasErrors,
+      errorReport: result.errorReport,
+    };
+    if (!options.omitErrorJson && result.errorData) {
+      response.errorJson = result.errorData;
+    }
+    return { response, errors: result.errorData };
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Server
+// ---------------------------------------------------------------------------
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = "";
+    req.on("data", (chunk) => (data += chunk));
+    req.on("end", () => resolve(data));
+    req.on("error", reject);
+  });
+}
+
+function sendJson(res, status, value) {
+  const body = JSON.stringify(value);
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    "Content-Length": Buffer.byteLength(body),
+  });
+  res.end(body);
+}
+
+function createServer(options = {}) {
+  const respond = options.real
+    ? realResponder(options)
+    : fixtureResponder(options.fixtures || DEFAULT_FIXTURES);
+
+  // <basename>-errors.json -> errors from the most recent POST for that id
+  const errorFiles = new Map();
+
+  return http.createServer(async (req, res) => {
+    try {
+      if (req.method === "POST" && req.url === "/tex") {
+        const { id, content, urlList = [], packageList = [], engine } = JSON.parse(await readBody(req));
+        const basename = path.basename(id, path.extname(id));
+        const { response, errors } = await respond({ basename, content, urlList, packageList, engine });
+        if (errors) {
+          errorFiles.set(basename + "-errors.json", errors);
+        } else {
+          errorFiles.delete(basename + "-errors.json");
+        }
+        console.log(`[mock] POST /tex ${id} -> hasErrors=${!!response.hasErrors}`);
+        sendJson(res, 200, response);
+      } else if (req.method === "GET" && req.url.startsWith("/pdf/")) {
+        const filename = decodeURIComponent(req.url.slice("/pdf/".length));
+        console.log(`[mock] GET ${req.url}`);
+        if (errorFiles.has(filename)) {
+          sendJson(res, 200, errorFiles.get(filename));
+        } else {
+          sendJson(res, 404, { error: "not found: " + filename });
+        }
+      } else {
+        sendJson(res, 404, { error: "no route for " + req.method + " " + req.url });
+      }
+    } catch (err) {
+      sendJson(res, 500, { error: err.message });
+    }
+  });
+}
+
+function startServer(options = {}) {
+  const server = createServer(options);
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(options.port === undefined ? DEFAULT_PORT : options.port, () => resolve(server));
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Main
+// ---------------------------------------------------------------------------
+
+function usage() {
+  console.error("Usage:");
+  console.error("  node mock-server.js [--port N] [--fixtures DIR]         Scripted responses");
+  console.error("  node mock-server.js --real [--engine NAME] [--omit-error-json]");
+  console.error("  node mock-server.js [options] -- <command...>            Serve while command runs");
+  process.exit(1);
+}
+
+function parseArgs(argv) {
+  const opts = { port: DEFAULT_PORT, fixtures: DEFAULT_FIXTURES, real: false, engine: "pdflatex", omitErrorJson: false, command: null };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--") {
+      opts.command = argv.slice(i + 1);
+      break;
+    } else if (arg === "--port") {
+      opts.port = parseInt(argv[++i], 10);
+    } else if (arg === "--fixtures") {
+      opts.fixtures = path.resolve(argv[++i]);
+    } else if (arg === "--engine") {
+      opts.engine = argv[++i];
+    } else if (arg === "--real") {
+      opts.real = true;
+    } else if (arg === "--omit-error-json") {
+      opts.omitErrorJson = true;
+    } else {
+      usage();
+    }
+  }
+  if (Number.isNaN(opts.port) || (opts.command && opts.command.length === 0)) usage();
+  return opts;
+}
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  const server = await startServer(opts);
+  const mode = opts.real ? "real (" + opts.engine + ")" : "fixtures (" + opts.fixtures + ")";
+  console.log(`[mock] PDF server listening on http://localhost:${server.address().port}, mode: ${mode}`);
+
+  if (opts.command) {
+    const child = spawn(opts.command[0], opts.command.slice(1), { stdio: "inherit" });
+    child.on("error", (err) => {
+      console.error("[mock] Could not run command:", err.message);
+      server.close();
+      process.exit(1);
+    });
+    child.on("exit", (code) => {
+      server.close();
+      process.exit(code === null ? 1 : code);
+    });
+  }
+}
+
+if (require.main === module) {
+  main().catch((err) => {
+    console.error("Mock server failed:", err.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { createServer, startServer };
@@ -0,0 +1,21 @@
+/**
+ * Body of one pool.js member: a compiler.js instance in a worker thread.
+ *
+ *   parent -> thread  {id, command, sourceText, options}
+ *   thread -> parent  {ready: true} once the Elm worker is up, then
+ *                     {id, ok: true, result} or {id, ok: false, error}
+ */
+
+const { parentPort, workerData } = require("worker_threads");
+const { createCompiler } = require("./compiler");
+
+const compiler = createCompiler({ workerPath: workerData.workerPath, timeout: workerData.timeout });
+
+parentPort.on("message", ({ id, command, sourceText, options }) => {
+  compiler.request(command, sourceText, options).then(
+    (result) => parentPort.postMessage({ id, ok: true, result }),
+    (err) => parentPort.postMessage({ id, ok: false, error: err.message })
+  );
+});
+
+parentPort.postMessage({ ready: true });
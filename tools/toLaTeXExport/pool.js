@@ -0,0 +1,159 @@
+/**
+ * A pool of compiled Elm workers, each in its own worker thread, with the
+ * same request API as compiler.js:
+ *
+ *   const { createPool } = require("./pool");
+ *   const pool = createPool({ size: 4 });
+ *   const results = await Promise.all(sources.map((s) => pool.toLaTeX(s, options)));
+ *   await pool.close();
+ *
+ * Each member handles one request at a time; waiting requests go to the
+ * next member that becomes free. Promises settle in whatever order the
+ * members finish, so collect them with Promise.all (or mapInOrder below)
+ * to keep input order. A member whose thread throws or exits rejects the
+ * request it was handling and is replaced by a fresh thread.
+ *
+ * Options:
+ *   size       — number of threads (default: number of CPUs)
+ *   workerPath — compiled worker to load in each thread (default: worker.js)
+ *   timeout    — per-request timeout inside each thread (see compiler.js)
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Worker } = require("worker_threads");
+const { DEFAULT_WORKER } = require("./compiler");
+
+const MEMBER_SCRIPT = path.join(__dirname, "pool-worker.js");
+
+function createPool(options = {}) {
+  const size = Math.max(1, options.size || os.cpus().length);
+  const workerPath = options.workerPath || DEFAULT_WORKER;
+  if (!fs.existsSync(workerPath)) {
+    throw new Error(workerPath + " not found (run `make build` in tools/toLaTeXExport)");
+  }
+
+  let nextId = 1;
+  let closing = false;
+  let broken = null; // set when a thread cannot even start
+  const queue = [];
+  const members = [];
+
+  function spawn() {
+    const member = {
+      thread: new Worker(MEMBER_SCRIPT, { workerData: { workerPath, timeout: options.timeout } }),
+      ready: false,
+      current: null,
+      failure: null,
+    };
+
+    member.thread.on("message", (message) => {
+      if (message.ready) {
+        member.ready = true;
+        dispatch();
+        return;
+      }
+      const request = member.current;
+      if (!request || request.id !== message.id) return;
+      member.current = null;
+      if (message.ok) {
+        request.resolve(message.result);
+      } else {
+        request.reject(new Error(message.error));
+      }
+      dispatch();
+    });
+
+    // "error" (an uncaught exception in the thread) is always followed by "exit"
+    member.thread.on("error", (err) => {
+      member.failure = err;
+    });
+
+    member.thread.on("exit", (code) => {
+      members.splice(members.indexOf(member), 1);
+      if (closing) return;
+
+      const reason = member.failure ? member.failure.message : "exited with code " + code;
+      if (member.current) {
+        member.current.reject(new Error(member.current.command + " failed: pool worker " + reason));
+        member.current = null;
+      }
+      if (!member.ready) {
+        // Restarting would fail the same way; give up on every request
+        broken = new Error("Pool worker could not start: " + reason);
+        queue.splice(0).forEach((request) => request.reject(broken));
+        return;
+      }
+      console.warn("Restarting pool worker: " + reason);
+      members.push(spawn());
+    });
+
+    return member;
+  }
+
+  function dispatch() {
+    for (const member of members) {
+      if (queue.length === 0) return;
+      if (member.ready && !member.current) {
+        const request = queue.shift();
+        member.current = request;
+        member.thread.postMessage({
+          id: request.id,
+          command: request.command,
+          sourceText: request.sourceText,
+          options: request.options,
+        });
+      }
+    }
+  }
+
+  function request(command, sourceText, requestOptions = {}) {
+    if (closing) return Promise.reject(new Error("Pool is closed"));
+    if (broken) return Promise.reject(broken);
+    return new Promise((resolve, reject) => {
+      queue.push({ id: nextId++, command, sourceText, options: requestOptions, resolve, reject });
+      dispatch();
+    });
+  }
+
+  // Stop every thread; requests still waiting are rejected
+  function close() {
+    closing = true;
+    queue.splice(0).forEach((r) => r.reject(new Error("Pool is closed")));
+    return Promise.all(members.map((m) => m.thread.terminate())).then(() => undefined);
+  }
+
+  for (let i = 0; i < size; i++) {
+    members.push(spawn());
+  }
+
+  return {
+    size,
+    request,
+    parse: (sourceText, parseOptions) => request("parse", sourceText, parseOptions),
+    ast: (sourceText, parseOptions) => request("ast", sourceText, parseOptions),
+    toLaTeX: (sourceText, exportOptions) => request("toLaTeX", sourceText, exportOptions),
+    rawLaTeX: (sourceText, exportOptions) => request("rawLaTeX", sourceText, exportOptions),
+    macros: (sourceText, parseOptions) => request("macros", sourceText, parseOptions),
+    pending: () => queue.length + members.filter((m) => m.current).length,
+    close,
+  };
+}
+
+// Run `task(item, index)` for every item with at most `limit` running at
+// once. Resolves with the results in input order.
+async function mapInOrder(items, limit, task) {
+  const results = new Array(items.length);
+  let next = 0;
+  async function lane() {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await task(items[i], i);
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, lane));
+  return results;
+}
+
+module.exports = { createPool, mapInOrder };
@@ -0,0 +1,263 @@
+#!/usr/bin/env node
+
+/**
+ * Shrinks a .scripta document to a minimal reproducer of one diagnosed
+ * export error, by delta debugging: first whole blocks (as the Elm parser
+ * delimits them, so verbatim blocks with blank lines stay whole), then single
+ * lines are removed for as long as the reduced document, exported through the
+ * Elm worker and compiled by the backend, still produces an error with the
+ * same signature.
+ *
+ * The signature is the error's category, rule pattern, log kind and unknown
+ * commands, read from <basename>-diagnosis.json. LaTeX text and line
+ * numbers are left out, since they change as the document shrinks.
+ *
+ * Usage:
+ *   node reduce.js <basename> <error-id> [options]
+ *
+ * Writes <basename>-<error-id>-min.scripta, ready to copy into
+ * tests/toLaTeXExportTestDocs.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { createBackend, ENGINES, DEFAULT_SERVER } = require("./backend");
+const { createCompiler } = require("./compiler");
+const { diagnoseErrors, errorEntriesFrom, DOCS_DIR } = require("./diagnose");
+
+const DEFAULT_MAX_TESTS = 500;
+
+// ---------------------------------------------------------------------------
+// Signatures
+// ---------------------------------------------------------------------------
+
+function reproSignature(error) {
+  return JSON.stringify([
+    error.category,
+    error.pattern,
+    error.kind || null,
+    [...(error.unknownCommands || [])].sort(),
+  ]);
+}
+
+// ---------------------------------------------------------------------------
+// Delta debugging
+// ---------------------------------------------------------------------------
+
+// ddmin over `items`: repeatedly drop a chunk while `passes` holds for what
+// is left, halving the chunk size when no chunk can be dropped. Stops early
+// (keeping the best result so far) once `passes` returns null.
+async function ddmin(items, passes) {
+  let n = 2;
+  while (items.length >= 2) {
+    const size = Math.ceil(items.length / n);
+    let reduced = false;
+    for (let start = 0; start < items.length; start += size) {
+      const complement = items.slice(0, start).concat(items.slice(start + size));
+      const result = await passes(complement);
+      if (result === null) return items;
+      if (result) {
+        items = complement;
+        n = Math.max(n - 1, 2);
+        reduced = true;
+        break;
+      }
+    }
+    if (!reduced) {
+      if (n >= items.length) break;
+      n = Math.min(n * 2, items.length);
+    }
+  }
+  return items;
+}
+
+// Blocks of a Scripta source, from the block summaries of `compiler.parse`:
+// each block's lines, in source order. A blank line does not always end a
+// block (`| code` and other verbatim blocks keep theirs), so the parser's
+// lineNumber (0-based) and numberOfLines are used rather than blank lines.
+function splitBlocks(text, blockSummaries) {
+  const lines = text.split("\n");
+  return [...blockSummaries]
+    .sort((a, b) => a.lineNumber - b.lineNumber)
+    .map((b) => lines.slice(b.lineNumber, b.lineNumber + Math.max(1, b.numberOfLines)).join("\n"))
+    .filter((b) => b.trim() !== "");
+}
+
+// A test that exports and compiles `text` and checks for the signature.
+// Results are cached by text; after `maxTests` compiles it returns null.
+function makeTester({ compiler, backend, exportOptions, ruleDirs, basename, signature, maxTests }) {
+  const cache = new Map();
+  let tests = 0;
+
+  async function reproduces(text) {
+    if (cache.has(text)) return cache.get(text);
+    if (tests >= maxTests) return null;
+    tests++;
+
+    let found = false;
+    try {
+      const { latex, urlList, packageList, sourceMap } = await compiler.toLaTeX(text, exportOptions);
+      const macros = await compiler.macros(text);
+      const result = await backend.compile({ basename: basename + "-min", content: latex, urlList, packageList });
+      const errorsRaw = !result.hasErrors
+        ? { hasErrors: false }
+        : result.errorData || { hasErrors: true, errorReport: result.errorReport };
+      const texText = result.tex || latex;
+      const parsed = errorEntriesFrom(errorsRaw, result.log || result.errorReport || null, texText);
+      if (parsed) {
+        const diagnosed = diagnoseErrors(parsed.entries, { scriptaText: text, texText, sourceMap, macros, ruleDirs });
+        found = diagnosed.some((e) => reproSignature(e) === signature);
+      }
+    } catch (err) {
+      // A candidate the worker or backend cannot handle does not reproduce
+      found = false;
+    }
+    cache.set(text, found);
+    return found;
+  }
+
+  return { reproduces, count: () => tests };
+}
+
+// Reduce `scriptaText` while it still reproduces `error`. Returns
+// { text, tests, complete }; `complete` is false if maxTests ran out.
+// Throws if the full document does not reproduce the error.
+async function reduce(scriptaText, error, options) {
+  const log = options.log || (() => {});
+  const tester = makeTester({
+    ...options,
+    signature: reproSignature(error),
+    maxTests: options.maxTests || DEFAULT_MAX_TESTS,
+  });
+
+  if (!(await tester.reproduces(scriptaText))) {
+    throw new Error("The full document does not reproduce error " + error.id + " (" + error.category + ")");
+  }
+
+  let exhausted = false;
+  const passes = async (text) => {
+    const result = await tester.reproduces(text);
+    if (result === null) exhausted = true;
+    return result;
+  };
+
+  const { blocks: blockSummaries } = await options.compiler.parse(scriptaText);
+  const blocks = splitBlocks(scriptaText, blockSummaries);
+  const keptBlocks = await ddmin(blocks, (candidate) => passes(candidate.join("\n\n") + "\n"));
+  let text = keptBlocks.join("\n\n") + "\n";
+  log(`blocks: ${blocks.length} -> ${keptBlocks.length} (${tester.count()} tests)`);
+
+  if (!exhausted) {
+    const lines = text.replace(/\n$/, "").split("\n");
+    const keptLines = await ddmin(lines, (candidate) => passes(candidate.join("\n") + "\n"));
+    text = keptLines.join("\n") + "\n";
+    log(`lines: ${lines.length} -> ${keptLines.length} (${tester.count()} tests)`);
+  }
+
+  return { text, tests: tester.count(), complete: !exhausted };
+}
+
+// ---------------------------------------------------------------------------
+// Main
+// ---------------------------------------------------------------------------
+
+function usage() {
+  console.error("Usage: node reduce.js <basename> <error-id> [options]");
+  console.error("");
+  console.error("Shrinks <basename>.scripta to a minimal document that still produces");
+  console.error("error <error-id> of <basename>-diagnosis.json, and writes it as");
+  console.error("<basename>-<error-id>-min.scripta.");
+  console.error("");
+  console.error("Options:");
+  console.error("  --backend http|local   Where to compile the LaTeX (default: local)");
+  console.error("  --server URL           PDF server for the http backend (default: " + DEFAULT_SERVER + ")");
+  console.error("  --engine NAME          TeX engine: " + ENGINES.join(", ") + " (default: the diagnosis's, else pdflatex)");
+  console.error("  --options FILE         Export options, as for run.js");
+  console.error("  --scripta FILE         Source to reduce (default: <basename>.scripta in the test docs)");
+  console.error("  --rules DIR            Also classify with the rule pack in DIR (repeatable)");
+  console.error("  --out DIR              Where to write the reproducer (default: current directory)");
+  console.error("  --max-tests N          Stop after N export+compile runs (default: " + DEFAULT_MAX_TESTS + ")");
+  process.exit(1);
+}
+
+function parseArgs(argv) {
+  const opts = { backend: "local", server: DEFAULT_SERVER, engine: null, ruleDirs: [], out: ".", positional: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const takesValue = [
+      "--backend", "--server", "--engine", "--options", "--scripta", "--rules", "--out", "--max-tests",
+    ].includes(arg);
+    if (takesValue && i + 1 >= argv.length) usage();
+
+    if (arg === "--backend" || arg === "--server" || arg === "--engine" || arg === "--out" || arg === "--scripta") {
+      opts[arg.slice(2)] = argv[++i];
+    } else if (arg === "--options") {
+      opts.optionsFile = argv[++i];
+    } else if (arg === "--rules") {
+      opts.ruleDirs.push(path.resolve(argv[++i]));
+    } else if (arg === "--max-tests") {
+      opts.maxTests = parseInt(argv[++i], 10);
+      if (!(opts.maxTests >= 1)) usage();
+    } else if (arg.startsWith("--")) {
+      console.error("Unknown option:", arg);
+      usage();
+    } else {
+      opts.positional.push(arg);
+    }
+  }
+  if (opts.positional.length !== 2) usage();
+  return opts;
+}
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  const [basename, id] = opts.positional;
+
+  try {
+    const diagnosisPath = path.join(DOCS_DIR, basename + "-diagnosis.json");
+    if (!fs.existsSync(diagnosisPath)) {
+      throw new Error("Diagnosis not found: " + diagnosisPath + " (run `node diagnose.js " + basename + "` first)");
+    }
+    const report = JSON.parse(fs.readFileSync(diagnosisPath, "utf-8"));
+    const error = report.errors.find((e) => String(e.id) === id);
+    if (!error) {
+      throw new Error("No error " + id + " in " + diagnosisPath + " (it has " + report.errors.length + ")");
+    }
+
+    const scriptaPath = opts.scripta || path.join(DOCS_DIR, basename + ".scripta");
+    const scriptaText = fs.readFileSync(scriptaPath, "utf-8");
+    // Reproduce with the engine the error came from
+    const engine = opts.engine || report.engine || "pdflatex";
+    const exportOptions = opts.optionsFile ? JSON.parse(fs.readFileSync(opts.optionsFile, "utf-8")) : {};
+    exportOptions.engine = engine;
+    const backend = createBackend(opts.backend, { server: opts.server, engine });
+    const compiler = createCompiler();
+
+    console.log(`Reducing ${scriptaPath} for error ${id}: ${error.category} (${error.pattern}), with ${backend.describe()}`);
+    const result = await reduce(scriptaText, error, {
+      compiler,
+      backend,
+      exportOptions,
+      ruleDirs: opts.ruleDirs,
+      basename,
+      maxTests: opts.maxTests,
+      log: (line) => console.log("  " + line),
+    });
+
+    const outPath = path.join(opts.out, `${basename}-${id}-min.scripta`);
+    fs.writeFileSync(outPath, result.text);
+    const lines = result.text.split("\n").length - 1;
+    const note = result.complete ? "" : " (stopped at --max-tests; may not be minimal)";
+    console.log(`Wrote ${outPath}: ${lines} lines after ${result.tests} tests${note}`);
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+  process.exit(0);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { reduce, ddmin, splitBlocks, reproSignature };
@@ -0,0 +1,340 @@
+#!/usr/bin/env node
+
+/**
+ * HTML report of the diagnoses in tests/toLaTeXExportTestDocs.
+ *
+ * For each document: its errors grouped by category, each with a category
+ * badge, the explanation and fix hint, and the Scripta source and generated
+ * LaTeX side by side with the offending lines highlighted. Each category
+ * links to the Elm functions its fixes point at.
+ *
+ * Usage:
+ *   node report.js <basename>...   Write <basename>-report.html for each
+ *   node report.js --all           Write diagnosis-report.html for every
+ *                                  *-diagnosis.json
+ * Options:
+ *   --context N        Source lines shown around each error (default 8)
+ *   --source-url URL   Link Elm functions to URL/<file>#L<line> (e.g. a
+ *                      repository browser) instead of the local file
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { DOCS_DIR } = require("./diagnose");
+
+const REPO_ROOT = path.join(__dirname, "..", "..");
+const DEFAULT_CONTEXT = 8;
+
+// ---------------------------------------------------------------------------
+// Inputs
+// ---------------------------------------------------------------------------
+
+function readLines(file) {
+  return fs.existsSync(file) ? fs.readFileSync(file, "utf-8").split("\n") : [];
+}
+
+// A document's diagnosis, with the full Scripta source and compiled LaTeX
+function loadDocument(basename) {
+  const diagnosisPath = path.join(DOCS_DIR, basename + "-diagnosis.json");
+  if (!fs.existsSync(diagnosisPath)) {
+    throw new Error("Diagnosis not found: " + diagnosisPath + " (run `node diagnose.js " + basename + "` first)");
+  }
+  const texPath = [basename + "-2.tex", basename + ".tex"]
+    .map((f) => path.join(DOCS_DIR, f))
+    .find((f) => fs.existsSync(f));
+  return {
+    basename,
+    report: JSON.parse(fs.readFileSync(diagnosisPath, "utf-8")),
+    scriptaLines: readLines(path.join(DOCS_DIR, basename + ".scripta")),
+    latexLines: texPath ? readLines(texPath) : [],
+  };
+}
+
+function allBasenames() {
+  return fs
+    .readdirSync(DOCS_DIR)
+    .filter((f) => f.endsWith("-diagnosis.json"))
+    .map((f) => f.replace(/-diagnosis\.json$/, ""))
+    .sort();
+}
+
+// ---------------------------------------------------------------------------
+// HTML
+// ---------------------------------------------------------------------------
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// A stable colour per category
+function badgeHue(category) {
+  let hash = 0;
+  for (const c of category) hash = (hash * 31 + c.charCodeAt(0)) % 360;
+  return hash;
+}
+
+function badge(category) {
+  return `<span class="badge" style="--hue: ${badgeHue(category)}">${escapeHtml(category)}</span>`;
+}
+
+// Lines [begin, end] (1-based) of `lines` with `context` lines either side,
+// the range itself highlighted
+function sourcePane(title, lines, begin, end, context) {
+  if (lines.length === 0 || !begin) {
+    return `<div class="pane"><h5>${escapeHtml(title)}</h5><p class="missing">Not available</p></div>`;
+  }
+  if (begin > lines.length) {
+    const note = `Line ${begin} is past the end of the file (${lines.length} lines)`;
+    return `<div class="pane"><h5>${escapeHtml(title)}</h5><p class="missing">${note}</p></div>`;
+  }
+  const first = Math.max(1, begin - context);
+  const last = Math.min(lines.length, end + context);
+  const rows = [];
+  for (let n = first; n <= last; n++) {
+    const hit = n >= begin && n <= end ? " class=\"hit\"" : "";
+    rows.push(`<tr${hit}><td class="ln">${n}</td><td><code>${escapeHtml(lines[n - 1])}</code></td></tr>`);
+  }
+  return `<div class="pane"><h5>${escapeHtml(title)} <small>lines ${begin}–${end}</small></h5><table>${rows.join("")}</table></div>`;
+}
+
+function functionLink(location, sourceUrl, outputDir) {
+  const anchor = location.line ? "#L" + location.line : "";
+  const href = sourceUrl
+    ? sourceUrl.replace(/\/$/, "") + "/" + location.file + anchor
+    : path.relative(outputDir, path.join(REPO_ROOT, location.file)) + anchor;
+  const where = location.line ? ` (line ${location.line})` : " (not found)";
+  return `<a href="${escapeHtml(href)}"><code>${escapeHtml(location.function)}</code></a>${where}`;
+}
+
+// The Scripta lines of an error: its source block, else its line
+function scriptaRange(error) {
+  if (error.sourceBlock) return [error.sourceBlock.scriptaBegin, error.sourceBlock.scriptaEnd];
+  return [error.scriptaLine, error.scriptaLine];
+}
+
+// The LaTeX lines of an error: latex-text ends at latex-line
+function latexRange(error) {
+  const span = error.latexText ? error.latexText.split("\n").length : 1;
+  return [Math.max(1, error.latexLine - span + 1), error.latexLine];
+}
+
+function renderError(error, doc, options) {
+  const [scriptaBegin, scriptaEnd] = scriptaRange(error);
+  const [latexBegin, latexEnd] = latexRange(error);
+  const tags = [
+    error.confidence !== undefined ? `<span class="tag">confidence ${error.confidence}</span>` : "",
+    error.kind ? `<span class="tag">${escapeHtml(error.kind)}</span>` : "",
+    error.sourceBlock && error.sourceBlock.name ? `<span class="tag">block ${escapeHtml(error.sourceBlock.name)}</span>` : "",
+  ].join("");
+  const others = (error.matches || []).slice(1);
+  const alsoMatched = others.length === 0 ? "" :
+    `<p class="also">Also matched: ${others.map((m) => `${badge(m.category)} ${m.confidence}`).join(" ")}</p>`;
+
+  return `
+<div class="error" id="${escapeHtml(doc.basename)}-${error.id}">
+  <h4>#${error.id} ${badge(error.category)} <span class="pattern">${escapeHtml(error.pattern)}</span> ${tags}</h4>
+  <p>${escapeHtml(error.explanation || "")}</p>
+  ${error.offendingText ? `<p>Offending text: <code>${escapeHtml(error.offendingText)}</code></p>` : ""}
+  <p class="hint">${escapeHtml(error.fixHint || "")}</p>
+  ${alsoMatched}
+  <div class="panes">
+    ${sourcePane(doc.basename + ".scripta", doc.scriptaLines, scriptaBegin, scriptaEnd, options.context)}
+    ${sourcePane("LaTeX", doc.latexLines, latexBegin, latexEnd, options.context)}
+  </div>
+</div>`;
+}
+
+function renderCategory(category, errors, doc, options) {
+  // Every distinct Elm function the errors' fixes point at
+  const locations = new Map();
+  for (const error of errors) {
+    for (const location of error.fixLocations || []) {
+      locations.set(location.file + ":" + location.function, location);
+    }
+  }
+  // Their links, grouped by file
+  const files = new Map();
+  for (const location of locations.values()) {
+    if (!files.has(location.file)) files.set(location.file, []);
+    files.get(location.file).push(functionLink(location, options.sourceUrl, options.outputDir));
+  }
+  const places = [...files.entries()].map(([file, links]) => `${escapeHtml(file)}: ${links.join(", ")}`);
+  const fixLine = places.length > 0
+    ? `<p class="fix">Fix in ${places.join("; ")}</p>`
+    : errors[0].fixLocation ? `<p class="fix">${escapeHtml(errors[0].fixLocation)}</p>` : "";
+
+  return `
+<section class="category">
+  <h3>${badge(category)} ${errors.length} error${errors.length === 1 ? "" : "s"}</h3>
+  ${fixLine}
+  ${errors.map((e) => renderError(e, doc, options)).join("\n")}
+</section>`;
+}
+
+function renderWarnings(doc) {
+  const warnings = doc.report.warnings || [];
+  if (warnings.length === 0) return "";
+  const rows = warnings.map((w) =>
+    `<tr><td>${escapeHtml(w.kind)}</td><td>${w.scriptaLine || ""}</td><td>${w.latexLine}</td><td>${escapeHtml(w.message)}</td></tr>`
+  );
+  return `
+<section class="warnings">
+  <h3>Warnings</h3>
+  <table><tr><th>Kind</th><th>Scripta line</th><th>LaTeX line</th><th>Message</th></tr>${rows.join("")}</table>
+</section>`;
+}
+
+function renderDocument(doc, options) {
+  const byCategory = new Map();
+  for (const error of doc.report.errors || []) {
+    if (!byCategory.has(error.category)) byCategory.set(error.category, []);
+    byCategory.get(error.category).push(error);
+  }
+  const categories = [...byCategory.entries()].sort((a, b) => b[1].length - a[1].length);
+
+  return `
+<article class="document" id="${escapeHtml(doc.basename)}">
+  <h2>${escapeHtml(doc.basename)}</h2>
+  <p>${escapeHtml(doc.report.summary || "")}</p>
+  ${categories.map(([category, errors]) => renderCategory(category, errors, doc, options)).join("\n")}
+  ${renderWarnings(doc)}
+</article>`;
+}
+
+function renderIndex(docs) {
+  if (docs.length < 2) return "";
+  const rows = docs.map((doc) => {
+    const counts = Object.entries(doc.report.categories || {})
+      .sort((a, b) => b[1] - a[1])
+      .map(([category, n]) => `${badge(category)} ${n}`)
+      .join(" ");
+    return `<tr><td><a href="#${escapeHtml(doc.basename)}">${escapeHtml(doc.basename)}</a></td><td>${doc.report.totalErrors}</td><td>${counts}</td></tr>`;
+  });
+  const total = docs.reduce((n, d) => n + (d.report.totalErrors || 0), 0);
+  return `
+<table class="index">
+  <tr><th>File</th><th>Errors</th><th>Categories</th></tr>
+  ${rows.join("\n  ")}
+  <tr><th>TOTAL</th><th>${total}</th><th></th></tr>
+</table>`;
+}
+
+const STYLE = `
+body { font-family: system-ui, sans-serif; margin: 2em; color: #222; }
+h4 { margin: 0.2em 0; }
+code { font-family: ui-monospace, monospace; font-size: 0.9em; white-space: pre-wrap; }
+.badge { background: hsl(var(--hue), 70%, 88%); border: 1px solid hsl(var(--hue), 50%, 60%);
+  border-radius: 0.8em; padding: 0.05em 0.6em; font-size: 0.85em; font-weight: normal; }
+.tag { color: #555; font-size: 0.8em; font-weight: normal; margin-left: 0.6em; }
+.pattern { color: #555; font-weight: normal; }
+.error { border: 1px solid #ddd; border-radius: 6px; padding: 0.8em; margin: 0.8em 0; }
+.hint, .also, .fix { color: #444; font-size: 0.9em; }
+.panes { display: grid; grid-template-columns: 1fr 1fr; gap: 0.8em; }
+.pane { overflow-x: auto; background: #fafafa; border: 1px solid #eee; }
+.pane h5 { margin: 0; padding: 0.3em 0.5em; background: #f0f0f0; }
+.pane table { border-collapse: collapse; width: 100%; }
+.pane td { vertical-align: top; padding: 0 0.4em; }
+.ln { color: #999; text-align: right; user-select: none; width: 3em; }
+tr.hit { background: #ffe9a8; }
+.missing { color: #999; padding: 0.5em; }
+.index td, .index th, .warnings td, .warnings th { padding: 0.2em 0.8em; text-align: left; }
+`;
+
+function renderReport(docs, options) {
+  const title = docs.length === 1 ? docs[0].basename + " — LaTeX export diagnosis" : "LaTeX export diagnoses";
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p>Generated ${escapeHtml(new Date().toISOString())}</p>
+${renderIndex(docs)}
+${docs.map((doc) => renderDocument(doc, options)).join("\n")}
+</body>
+</html>
+`;
+}
+
+// Write the report for `basenames` to `outputPath`
+function writeReport(basenames, outputPath, options = {}) {
+  const docs = basenames.map(loadDocument);
+  const html = renderReport(docs, {
+    context: options.context ?? DEFAULT_CONTEXT,
+    sourceUrl: options.sourceUrl || null,
+    outputDir: path.dirname(outputPath),
+  });
+  fs.writeFileSync(outputPath, html);
+  return outputPath;
+}
+
+// ---------------------------------------------------------------------------
+// Main
+// ---------------------------------------------------------------------------
+
+function usage() {
+  console.error("Usage:");
+  console.error("  node report.js <basename>...   Write <basename>-report.html for each document");
+  console.error("  node report.js --all           Write diagnosis-report.html for all diagnoses");
+  console.error("");
+  console.error("Options:");
+  console.error("  --context N        Source lines shown around each error (default " + DEFAULT_CONTEXT + ")");
+  console.error("  --source-url URL   Link Elm functions to URL/<file>#L<line>");
+  process.exit(1);
+}
+
+function main() {
+  const argv = process.argv.slice(2);
+  const options = {};
+  const basenames = [];
+  let all = false;
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--context" || argv[i] === "--source-url") {
+      if (!argv[i + 1]) usage();
+      if (argv[i] === "--context") {
+        options.context = parseInt(argv[++i], 10);
+        if (!(options.context >= 0)) usage();
+      } else {
+        options.sourceUrl = argv[++i];
+      }
+    } else if (argv[i] === "--all") {
+      all = true;
+    } else if (argv[i].startsWith("--")) {
+      usage();
+    } else {
+      basenames.push(argv[i]);
+    }
+  }
+  if (all === (basenames.length > 0)) usage();
+
+  try {
+    if (all) {
+      const names = allBasenames();
+      if (names.length === 0) {
+        console.log("No diagnosis files found. Run 'node diagnose.js --all' first.");
+        return;
+      }
+      console.log("Wrote:", writeReport(names, path.join(DOCS_DIR, "diagnosis-report.html"), options));
+    } else {
+      for (const name of basenames) {
+        console.log("Wrote:", writeReport([name], path.join(DOCS_DIR, name + "-report.html"), options));
+      }
+    }
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { writeReport, renderReport };
@@ -0,0 +1,188 @@
+/**
+ * Classification rules for diagnose.js, loaded from rule packs.
+ *
+ * A rule pack is a directory of .js and .json files, read in name order.
+ * The built-in pack is rules/ next to this file; `--rules DIR` adds more.
+ * A rule whose `pattern` matches one loaded earlier replaces it.
+ *
+ * A rule:
+ *
+ *   { category, pattern,
+ *     priority,        higher runs first; the top match is the error's category
+ *     confidence,      0..1, how sure a match is (default 0.5)
+ *     test(error)      JS modules: falsy for no match, true, or an object whose
+ *                      `confidence` and `explanation` override the rule's and
+ *                      whose other fields are added to the diagnosis
+ *     match            JSON files: { latexText, scriptaText, message,
+ *                      offendingText } regexes and `kind` (a string or list),
+ *                      all of which must hold
+ *     explanation, fixHint,
+ *     fixLocation,     a function name in src/Render/Export/LaTeX.elm, a list
+ *                      of them, or { file, functions }
+ *     sourceFix }      optional, JS modules: when the fix is on the author's
+ *                      side, a function returning an edit to the .scripta
+ *                      source, { description, edits }, or null (see sourcefix.js)
+ *
+ * A .js file exports a rule or a list of rules; a .json file holds a rule,
+ * a list, or { "rules": [...] }. `test` receives { latexText, scriptaText,
+ * logError: { kind, message, offendingText }, userMacros, knownCommands }:
+ * `knownCommands` is a Set of control sequences ("\\section"), `userMacros`
+ * a Map from each macro the document defines to its block ("mathmacros" or
+ * "textmacros").
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const BUILTIN_RULES_DIR = path.join(__dirname, "rules");
+const REPO_ROOT = path.join(__dirname, "..", "..");
+const DEFAULT_FIX_FILE = "src/Render/Export/LaTeX.elm";
+const DEFAULT_CONFIDENCE = 0.5;
+
+// ---------------------------------------------------------------------------
+// Loading
+// ---------------------------------------------------------------------------
+
+function packEntries(file) {
+  if (file.endsWith(".json")) {
+    const data = JSON.parse(fs.readFileSync(file, "utf-8"));
+    return Array.isArray(data) ? data : data.rules || [data];
+  }
+  const exported = require(path.resolve(file));
+  return Array.isArray(exported) ? exported : exported.rules || [exported];
+}
+
+function compileMatch(match, file) {
+  const regexes = {};
+  for (const field of ["latexText", "scriptaText", "message", "offendingText"]) {
+    if (match[field] === undefined) continue;
+    try {
+      regexes[field] = new RegExp(match[field]);
+    } catch (err) {
+      throw new Error(file + ": bad " + field + " regex: " + err.message);
+    }
+  }
+  const kinds = match.kind === undefined ? null : [].concat(match.kind);
+
+  return (error) =>
+    (kinds === null || kinds.includes(error.logError.kind)) &&
+    Object.entries(regexes).every(([field, re]) => {
+      const text = field === "latexText" || field === "scriptaText" ? error[field] : error.logError[field];
+      return re.test(text || "");
+    });
+}
+
+// Rule files in the repository are named relative to its root
+function sourceName(file) {
+  const relative = path.relative(REPO_ROOT, file);
+  return relative.startsWith("..") ? path.resolve(file) : relative;
+}
+
+function toRule(entry, file) {
+  const name = entry.pattern || "(unnamed)";
+  if (!entry.category || !entry.pattern) {
+    throw new Error(file + ": rule " + name + " needs a category and a pattern");
+  }
+  if (typeof entry.test !== "function" && !entry.match) {
+    throw new Error(file + ": rule " + name + " needs a test function or a match object");
+  }
+  return {
+    ...entry,
+    priority: entry.priority || 0,
+    confidence: entry.confidence === undefined ? DEFAULT_CONFIDENCE : entry.confidence,
+    test: typeof entry.test === "function" ? entry.test : compileMatch(entry.match, file),
+    source: sourceName(file),
+  };
+}
+
+// The rules of the built-in pack and then each of `dirs`, highest priority
+// first. Throws on a missing directory or a malformed rule.
+function loadRules(dirs = []) {
+  const byPattern = new Map();
+  for (const dir of [BUILTIN_RULES_DIR, ...dirs]) {
+    if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+      throw new Error("Rule directory not found: " + dir);
+    }
+    const files = fs.readdirSync(dir).filter((f) => f.endsWith(".js") || f.endsWith(".json")).sort();
+    for (const f of files) {
+      const file = path.join(dir, f);
+      for (const entry of packEntries(file)) {
+        const rule = toRule(entry, file);
+        byPattern.delete(rule.pattern);
+        byPattern.set(rule.pattern, rule);
+      }
+    }
+  }
+  return [...byPattern.values()].sort((a, b) => b.priority - a.priority);
+}
+
+// ---------------------------------------------------------------------------
+// Fix locations
+// ---------------------------------------------------------------------------
+
+const sourceLines = new Map();
+
+// 1-based line of the top-level declaration `name` (its type annotation if
+// it has one) in an Elm file, or null
+function findFunctionLine(file, name) {
+  if (!sourceLines.has(file)) {
+    const fullPath = path.join(REPO_ROOT, file);
+    sourceLines.set(file, fs.existsSync(fullPath) ? fs.readFileSync(fullPath, "utf-8").split("\n") : []);
+  }
+  const declaration = new RegExp("^" + name.replace(/[.*+?^${}()|[\]\\]/g, "\\$&") + "(?: |$)");
+  const index = sourceLines.get(file).findIndex((line) => declaration.test(line));
+  return index === -1 ? null : index + 1;
+}
+
+// The rule's fixLocation as [{ file, function, line }], looked up in the
+// current source
+function resolveFixLocations(spec) {
+  if (!spec) return [];
+  const { file = DEFAULT_FIX_FILE, functions = [] } =
+    typeof spec === "string" || Array.isArray(spec) ? { functions: [].concat(spec) } : spec;
+  return [].concat(functions).map((name) => ({ file, function: name, line: findFunctionLine(file, name) }));
+}
+
+// "src/Render/Export/LaTeX.elm — exportExpr (line 1812) / macroDict (line 1242)"
+function describeFixLocations(locations, fallback = DEFAULT_FIX_FILE) {
+  if (locations.length === 0) return fallback;
+  const names = locations.map((l) => l.function + (l.line === null ? " (not found)" : " (line " + l.line + ")"));
+  return locations[0].file + " — " + names.join(" / ");
+}
+
+// ---------------------------------------------------------------------------
+// Matching
+// ---------------------------------------------------------------------------
+
+// Every rule that matches `error`, in priority order, then by confidence
+function matchRules(rules, error) {
+  const matches = [];
+  for (const rule of rules) {
+    const result = rule.test(error);
+    if (!result) continue;
+    const { confidence, explanation, ...details } = typeof result === "object" ? result : {};
+    const fixLocations = resolveFixLocations(rule.fixLocation);
+    matches.push({
+      category: rule.category,
+      pattern: rule.pattern,
+      priority: rule.priority,
+      confidence: confidence === undefined ? rule.confidence : confidence,
+      explanation: explanation || rule.explanation,
+      fixLocation: describeFixLocations(fixLocations),
+      fixLocations,
+      fixHint: rule.fixHint,
+      sourceFix: rule.sourceFix,
+      source: rule.source,
+      details,
+    });
+  }
+  return matches.sort((a, b) => b.priority - a.priority || b.confidence - a.confidence);
+}
+
+module.exports = {
+  BUILTIN_RULES_DIR,
+  loadRules,
+  matchRules,
+  resolveFixLocations,
+  describeFixLocations,
+};
@@ -0,0 +1,95 @@
+// Built-in rules that need more than a regex; see rules.js for the format.
+
+const { wrapMathWords, escapeSpecials, moveDefinitionsToMathMacros } = require("../sourcefix");
+
+const MATH_CONTEXTS = [
+  "\\lstinline", "$", "\\(", "\\begin{equation}", "\\begin{align}", "\\begin{pmatrix}", "\\begin{bmatrix}",
+];
+
+// The math-mode and escaping heuristics only guess from the LaTeX text: a
+// TeX log that names another kind of error (say, an undefined control
+// sequence) rules them out. "other" is a message texlog.js has no kind for.
+const logNamesOtherKind = (logError, ...kinds) =>
+  Boolean(logError.kind) && logError.kind !== "other" && !kinds.includes(logError.kind);
+
+module.exports = [
+  {
+    category: "math-mode",
+    pattern: "missing-dollar",
+    priority: 30,
+    confidence: 0.5,
+    test: ({ latexText, logError }) => {
+      if (logError.kind === "missing-dollar") return { confidence: 0.9 };
+      if (logNamesOtherKind(logError)) return false;
+      return /[_^]/.test(latexText) && !MATH_CONTEXTS.some((c) => latexText.includes(c));
+    },
+    explanation: "Math characters (^ or _) appear outside math mode",
+    fixLocation: ["mapChars2", "inlineCode"],
+    fixHint:
+      "Either the source text contains math characters that should be in " +
+      "a [code] or [math] element, or mapChars2 needs to escape them.",
+    sourceFix: ({ scriptaLines, scriptaLine }) => wrapMathWords(scriptaLines, scriptaLine),
+  },
+  {
+    category: "escaping",
+    pattern: "unescaped-special",
+    priority: 20,
+    confidence: 0.6,
+    test: ({ latexText, logError }) => {
+      // A bare & is a misplaced alignment tab to TeX
+      if (logNamesOtherKind(logError, "misplaced-alignment")) return false;
+      // Look for unescaped &, #, % outside of known-safe commands
+      const stripped = latexText
+        .replace(/\\lstinline\|[^|]*\|/g, "")
+        .replace(/\\[a-zA-Z]+\{[^}]*\}/g, "")
+        .replace(/\\[&#%]/g, "");
+      return /[&#%]/.test(stripped);
+    },
+    explanation: "Special LaTeX characters (&, #, or %) not escaped",
+    fixLocation: ["mapChars2"],
+    fixHint:
+      "Add escaping rules to mapChars2: & → \\&, # → \\#, % → \\%.",
+    sourceFix: ({ scriptaLines, scriptaLine }) => escapeSpecials(scriptaLines, scriptaLine),
+  },
+  {
+    category: "undefined-command",
+    pattern: "undefined-control-sequence",
+    priority: 10,
+    confidence: 0.6,
+    test: ({ latexText, logError, userMacros, knownCommands }) => {
+      // A TeX log names the sequence, even if it is one we expect to be defined
+      if (logError.kind === "undefined-control-sequence" && /^\\/.test(logError.offendingText || "")) {
+        const command = logError.offendingText;
+        if (userMacros.has(command)) {
+          // The document defines it, so the export dropped the definition
+          return {
+            ...undefinedCommands([command], 0.95),
+            explanation: `${command} is defined in the document's ${userMacros.get(command)} block ` +
+              "but not in the exported LaTeX",
+            userMacro: userMacros.get(command),
+          };
+        }
+        return undefinedCommands([command], 0.95);
+      }
+      const unknowns = latexText.match(/\\[a-zA-Z]+/g) || [];
+      const found = [...new Set(unknowns.filter((cmd) => !knownCommands.has(cmd) && !userMacros.has(cmd)))];
+      return found.length > 0 && undefinedCommands(found, 0.6);
+    },
+    explanation: "LaTeX output contains a control sequence not in the standard set",
+    fixLocation: ["blockDict", "macroDict"],
+    fixHint:
+      "Check whether the command is intentional. If so, ensure the preamble " +
+      "defines it. If not, fix the export function that generated it.",
+    // A definition outside | mathmacros does not reach the LaTeX preamble
+    sourceFix: ({ scriptaLines, details }) =>
+      details.unknownCommands ? moveDefinitionsToMathMacros(scriptaLines, details.unknownCommands) : null,
+  },
+];
+
+function undefinedCommands(commands, confidence) {
+  return {
+    confidence,
+    explanation: "Undefined control sequence(s): " + commands.join(", "),
+    unknownCommands: commands,
+  };
+}
@@ -2,148 +2,316 @@
 
 const fs = require("fs");
 const path = require("path");
-const http = require("http");
+const { createBackend, ENGINES, DEFAULT_SERVER } = require("./backend");
+const { diagnose, summaryRow, printSummaryTable } = require("./diagnose");
+const { createCompiler } = require("./compiler");
+const { createPool, mapInOrder } = require("./pool");
+const { writeSourceMap } = require("./sourcemap");
+const { writeMacros } = require("./macros");
 
-const PDF_SERVER = "http://localhost:3000";
 const OUTPUT_DIR = path.join(__dirname, "..", "..", "tests", "toLaTeXExportTestDocs");
+const WATCH_DEBOUNCE_MS = 200;
 
 function usage() {
-  console.error("Usage: node run.js <path-to-scripta-file>");
+  console.error("Usage: node run.js [options] <file-or-directory>...");
+  console.error("");
+  console.error("Each argument is a .scripta file or a directory of them.");
+  console.error("");
+  console.error("Options:");
+  console.error("  --backend http|local   Where to compile the LaTeX (default: http)");
+  console.error("  --server URL           PDF server for the http backend (default: " + DEFAULT_SERVER + ")");
+  console.error("  --engine NAME          TeX engine: " + ENGINES.join(", ") + " (default: pdflatex); sets the");
+  console.error("                         preamble, the engine the backend compiles with, and the diagnoses' engine");
+  console.error("  --jobs N               Process N documents at once, each worker in its own thread (default: 1)");
+  console.error("  --watch                Re-export and re-diagnose when a source file changes");
+  console.error("  --rules DIR            Also classify errors with the diagnose.js rule pack in DIR (repeatable)");
+  console.error("");
+  console.error("Export options (sent to the worker as one JSON object):");
+  console.error("  --options FILE         Read the options object from a JSON file; flags below override it");
+  console.error("  --title TEXT           Document title (default: Untitled)");
+  console.error("  --author NAME          Author; repeat for several (default: test-author)");
+  console.error("  --date TEXT            Date line (default: empty)");
+  console.error("  --kind KIND            article, chapter or book (default: article)");
+  console.error("  --window-width N       RenderSettings.windowWidth (default: 600)");
+  console.error("  --not-standalone       RenderSettings.isStandaloneDocument = False");
   process.exit(1);
 }
 
-function httpRequest(url, options, body) {
-  return new Promise((resolve, reject) => {
-    const parsedUrl = new URL(url);
-    const reqOptions = {
-      hostname: parsedUrl.hostname,
-      port: parsedUrl.port,
-      path: parsedUrl.pathname,
-      ...options,
-    };
-    const req = http.request(reqOptions, (res) => {
-      let data = "";
-      res.on("data", (chunk) => (data += chunk));
-      res.on("end", () => resolve({ status: res.statusCode, body: data }));
-    });
-    req.on("error", reject);
-    if (body) req.write(body);
-    req.end();
-  });
-}
+function parseArgs(argv) {
+  const opts = { backend: "http", server: DEFAULT_SERVER, engine: null, jobs: 1, watch: false, ruleDirs: [], inputs: [] };
+  const exportOptions = {};
+  const settings = {};
+  let optionsFile = null;
 
-function httpGet(url) {
-  return httpRequest(url, { method: "GET" });
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const takesValue = [
+      "--backend", "--server", "--engine", "--jobs", "--rules", "--options",
+      "--title", "--author", "--date", "--kind", "--window-width",
+    ].includes(arg);
+    if (takesValue && i + 1 >= argv.length) usage();
+
+    if (arg === "--backend" || arg === "--server" || arg === "--engine") {
+      opts[arg.slice(2)] = argv[++i];
+    } else if (arg === "--jobs") {
+      opts.jobs = parseInt(argv[++i], 10);
+      if (!(opts.jobs >= 1)) usage();
+    } else if (arg === "--rules") {
+      opts.ruleDirs.push(path.resolve(argv[++i]));
+    } else if (arg === "--watch") {
+      opts.watch = true;
+    } else if (arg === "--options") {
+      optionsFile = argv[++i];
+    } else if (arg === "--title" || arg === "--date" || arg === "--kind") {
+      exportOptions[arg.slice(2)] = argv[++i];
+    } else if (arg === "--author") {
+      exportOptions.authors = [...(exportOptions.authors || []), argv[++i]];
+    } else if (arg === "--window-width") {
+      settings.windowWidth = parseInt(argv[++i], 10);
+      if (Number.isNaN(settings.windowWidth)) usage();
+    } else if (arg === "--not-standalone") {
+      settings.isStandaloneDocument = false;
+    } else if (arg.startsWith("--")) {
+      console.error("Unknown option:", arg);
+      usage();
+    } else {
+      opts.inputs.push(arg);
+    }
+  }
+
+  opts.exportOptions = mergeExportOptions(readOptionsFile(optionsFile), exportOptions, settings);
+  // The worker picks the preamble by engine: --engine, else the options file's
+  opts.engine = opts.engine || opts.exportOptions.engine || "pdflatex";
+  opts.exportOptions.engine = opts.engine;
+  return opts;
 }
 
-async function fetchErrorJson(filename) {
-  const url = PDF_SERVER + "/pdf/" + filename;
+function readOptionsFile(optionsFile) {
+  if (!optionsFile) return {};
   try {
-    const res = await httpGet(url);
-    if (res.status === 200) {
-      return JSON.parse(res.body);
+    return JSON.parse(fs.readFileSync(optionsFile, "utf-8"));
+  } catch (err) {
+    console.error("Could not read options file " + optionsFile + ":", err.message);
+    process.exit(1);
+  }
+}
+
+// Flags override the options file; render settings are merged field by field
+function mergeExportOptions(fromFile, fromFlags, settingsFromFlags) {
+  const merged = { ...fromFile, ...fromFlags };
+  if (fromFile.settings || Object.keys(settingsFromFlags).length > 0) {
+    merged.settings = { ...(fromFile.settings || {}), ...settingsFromFlags };
+  }
+  return merged;
+}
+
+// Expand the command-line inputs into a sorted, de-duplicated list of
+// .scripta paths. Directories contribute their top-level .scripta files.
+// Every output is named after the basename in the one OUTPUT_DIR, so two
+// sources with the same basename are refused.
+function collectSources(inputs) {
+  const sources = [];
+  for (const input of inputs) {
+    if (!fs.existsSync(input)) {
+      console.error("File not found:", input);
+      process.exit(1);
+    }
+    if (fs.statSync(input).isDirectory()) {
+      fs.readdirSync(input)
+        .filter((f) => f.endsWith(".scripta"))
+        .sort()
+        .forEach((f) => sources.push(path.join(input, f)));
+    } else {
+      sources.push(input);
     }
-  } catch (_) {}
-  return null;
+  }
+  const unique = [...new Set(sources.map((s) => path.resolve(s)))];
+  const byBasename = new Map();
+  for (const source of unique) {
+    const basename = path.basename(source, ".scripta");
+    if (byBasename.has(basename)) {
+      console.error(`Two sources named ${basename}.scripta would write the same outputs in ${OUTPUT_DIR}:`);
+      console.error("  " + byBasename.get(basename));
+      console.error("  " + source);
+      process.exit(1);
+    }
+    byBasename.set(basename, source);
+  }
+  return unique;
 }
 
-async function main() {
-  const args = process.argv.slice(2);
-  if (args.length < 1) usage();
+// ---------------------------------------------------------------------------
+// Export one document
+// ---------------------------------------------------------------------------
 
-  const scriptaPath = args[0];
-  if (!fs.existsSync(scriptaPath)) {
-    console.error("File not found:", scriptaPath);
-    process.exit(1);
+// Write <basename>-2.tex, <basename>.log and <basename>-errors.json from a backend result
+function writeResult(basename, result) {
+  // Write the backend's final LaTeX (after PDF pipeline) as FILE-2.tex
+  if (result.tex) {
+    const tex2Path = path.join(OUTPUT_DIR, basename + "-2.tex");
+    fs.writeFileSync(tex2Path, result.tex);
+    console.log("Wrote pipeline LaTeX:", tex2Path);
   }
 
-  const sourceText = fs.readFileSync(scriptaPath, "utf-8");
-  const basename = path.basename(scriptaPath, path.extname(scriptaPath));
-  const texFilename = basename + ".tex";
+  // The full TeX log, when the backend has one; a stale log would give
+  // diagnose.js warnings from an earlier run
+  const logPath = path.join(OUTPUT_DIR, basename + ".log");
+  if (result.log) {
+    fs.writeFileSync(logPath, result.log);
+  } else if (fs.existsSync(logPath)) {
+    fs.rmSync(logPath);
+  }
 
-  // Ensure output directory exists
-  if (!fs.existsSync(OUTPUT_DIR)) {
-    fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+  const errorsPath = path.join(OUTPUT_DIR, basename + "-errors.json");
+
+  if (result.hasErrors) {
+    if (result.errorData) {
+      fs.writeFileSync(errorsPath, JSON.stringify(result.errorData, null, 2));
+      const count = Array.isArray(result.errorData) ? result.errorData.length : "?";
+      console.log("Errors (" + count + ") written to:", errorsPath);
+    } else {
+      const fallback = { hasErrors: true, errorReport: result.errorReport || null };
+      fs.writeFileSync(errorsPath, JSON.stringify(fallback, null, 2));
+      console.log("Errors (could not fetch details) written to:", errorsPath);
+    }
+  } else {
+    fs.writeFileSync(errorsPath, JSON.stringify({ hasErrors: false }, null, 2));
+    console.log("No errors. Wrote:", errorsPath);
   }
+}
 
-  // Boot the Elm worker
-  const { Elm } = require("./worker.js");
-  const app = Elm.Worker.init();
+// Export, compile and diagnose one .scripta file. Returns its summary row;
+// failures are reported in the row rather than thrown.
+async function processDocument(compiler, backend, opts, scriptaPath) {
+  const basename = path.basename(scriptaPath, path.extname(scriptaPath));
+  console.log("=== Processing " + scriptaPath + " ===");
 
-  app.ports.sendLaTeX.subscribe(async (latex) => {
-    console.log("Got LaTeX output (" + latex.length + " chars)");
+  try {
+    const sourceText = fs.readFileSync(scriptaPath, "utf-8");
+    const { latex, urlList, packageList, sourceMap } = await compiler.toLaTeX(sourceText, opts.exportOptions);
+    console.log("Got LaTeX output (" + latex.length + " chars, " +
+      urlList.length + " images, packages: " + (packageList.join(", ") || "none") + ")");
 
     // Write the LaTeX file for debugging
-    const texPath = path.join(OUTPUT_DIR, texFilename);
+    const texPath = path.join(OUTPUT_DIR, basename + ".tex");
     fs.writeFileSync(texPath, latex);
     console.log("Wrote:", texPath);
+    if (sourceMap) {
+      console.log("Wrote:", writeSourceMap(OUTPUT_DIR, basename, sourceMap));
+    }
+    // User macros, so that diagnose.js does not report them as undefined
+    console.log("Wrote:", writeMacros(OUTPUT_DIR, basename, await compiler.macros(sourceText)));
 
-    // POST to the PDF server using the base filename as ID.
-    // The server overwrites output files on each POST for the same ID.
-    const payload = JSON.stringify({
-      id: texFilename,
+    console.log("Compiling with", backend.describe());
+    const result = await backend.compile({
+      basename,
       content: latex,
-      urlList: [],
-      packageList: [],
+      urlList,
+      packageList,
     });
+    writeResult(basename, result);
+  } catch (err) {
+    console.error("Error compiling LaTeX:", err.message);
+    return { file: basename, errors: "-", topCategory: "export failed: " + err.message, failed: true };
+  }
 
-    try {
-      const res = await httpRequest(PDF_SERVER + "/tex", {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          "Content-Length": Buffer.byteLength(payload),
-        },
-      }, payload);
-
-      console.log("PDF server responded:", res.status);
-      const result = JSON.parse(res.body);
-
-      // Write the server's final LaTeX (after PDF pipeline) as FILE-2.tex
-      if (result.tex) {
-        const tex2Path = path.join(OUTPUT_DIR, basename + "-2.tex");
-        fs.writeFileSync(tex2Path, result.tex);
-        console.log("Wrote pipeline LaTeX:", tex2Path);
-      }
-
-      const errorsPath = path.join(OUTPUT_DIR, basename + "-errors.json");
-
-      if (result.hasErrors) {
-        // Try multiple sources for structured error data:
-        // 1. Inline array in response (some server versions)
-        // 2. Fetch from server by well-known name (<basename>-errors.json)
-        let errorData = null;
-
-        if (Array.isArray(result.errorJson)) {
-          errorData = result.errorJson;
-        } else {
-          errorData = await fetchErrorJson(basename + "-errors.json");
-        }
+  try {
+    return summaryRow(diagnose(basename, { scriptaPath, ruleDirs: opts.ruleDirs, engine: opts.engine }));
+  } catch (err) {
+    console.error("Could not diagnose " + basename + ":", err.message);
+    return { file: basename, errors: "?", topCategory: "not diagnosed" };
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Watch mode
+// ---------------------------------------------------------------------------
+
+// Re-run `onChange(scriptaPath)` whenever a watched source changes. Watching
+// the containing directories also picks up editors that save by rename.
+// Changes are processed one at a time so they share the worker in order.
+function watchSources(sources, onChange) {
+  const watched = new Set(sources);
+  const timers = new Map();
+  let queue = Promise.resolve();
 
-        if (errorData) {
-          fs.writeFileSync(errorsPath, JSON.stringify(errorData, null, 2));
-          const count = Array.isArray(errorData) ? errorData.length : "?";
-          console.log("Errors (" + count + ") written to:", errorsPath);
-        } else {
-          const fallback = { hasErrors: true, errorReport: result.errorReport || null };
-          fs.writeFileSync(errorsPath, JSON.stringify(fallback, null, 2));
-          console.log("Errors (could not fetch details) written to:", errorsPath);
+  for (const dir of new Set(sources.map((s) => path.dirname(s)))) {
+    fs.watch(dir, (_event, filename) => {
+      if (!filename) return;
+      const full = path.join(dir, filename.toString());
+      if (!watched.has(full)) return;
+      clearTimeout(timers.get(full));
+      timers.set(full, setTimeout(() => {
+        timers.delete(full);
+        if (fs.existsSync(full)) {
+          queue = queue.then(() => onChange(full));
         }
-      } else {
-        fs.writeFileSync(errorsPath, JSON.stringify({ hasErrors: false }, null, 2));
-        console.log("No errors. Wrote:", errorsPath);
-      }
-    } catch (err) {
-      console.error("Error communicating with PDF server:", err.message);
-      console.error("Is the PDF server running at " + PDF_SERVER + "?");
-      process.exit(1);
-    }
+      }, WATCH_DEBOUNCE_MS));
+    });
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Main
+// ---------------------------------------------------------------------------
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  if (opts.inputs.length < 1) usage();
+
+  const sources = collectSources(opts.inputs);
+  if (sources.length === 0) {
+    console.error("No .scripta files found in:", opts.inputs.join(", "));
+    process.exit(1);
+  }
+
+  let backend;
+  try {
+    backend = createBackend(opts.backend, { server: opts.server, engine: opts.engine });
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
 
-    process.exit(0);
+  // Ensure output directory exists
+  if (!fs.existsSync(OUTPUT_DIR)) {
+    fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+  }
+
+  // One worker for every document, or a pool of them with --jobs
+  let compiler;
+  try {
+    compiler = opts.jobs > 1 ? createPool({ size: Math.min(opts.jobs, sources.length) }) : createCompiler();
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+
+  // Latest summary row per document, in source order
+  const rows = new Map();
+  const firstRows = await mapInOrder(sources, opts.jobs, (scriptaPath) =>
+    processDocument(compiler, backend, opts, scriptaPath)
+  );
+  sources.forEach((scriptaPath, i) => rows.set(scriptaPath, firstRows[i]));
+
+  console.log("");
+  printSummaryTable([...rows.values()]);
+
+  if (!opts.watch) {
+    const failed = [...rows.values()].some((r) => r.failed);
+    process.exit(failed ? 1 : 0);
+  }
+
+  console.log("\nWatching " + sources.length + " file(s) for changes. Press Ctrl-C to stop.");
+  watchSources(sources, async (scriptaPath) => {
+    rows.set(scriptaPath, await processDocument(compiler, backend, opts, scriptaPath));
+    console.log("");
+    printSummaryTable([...rows.values()]);
   });
+}
 
-  // Send source text to Elm
-  app.ports.receiveSourceText.send(sourceText);
+if (require.main === module) {
+  main();
 }
 
-main();
+module.exports = { processDocument };
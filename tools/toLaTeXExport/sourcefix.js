@@ -0,0 +1,287 @@
+/**
+ * Suggested edits to a .scripta source, for errors whose fix is on the
+ * author's side, and the unified diffs that show them.
+ *
+ * A rule may have a `sourceFix` function (see rules.js). It receives
+ * { scriptaLines, scriptaLine, latexText, logError, details } and returns
+ * { description, edits } or null. An edit replaces whole lines:
+ *
+ *   { begin, end, before, after }   lines begin..end (1-based, inclusive),
+ *                                   which read `before`, become `after`;
+ *                                   end = begin - 1 inserts before line begin
+ *
+ * The helpers below build the edits of the built-in rules (rules/core.js).
+ */
+
+// Block headers whose body is not parsed as Scripta text, as in
+// Parser.PrimitiveBlock.verbatimNames
+const VERBATIM_NAMES = [
+  "math", "chem", "compute", "equation", "aligned", "array", "textarray", "table", "code", "verse",
+  "verbatim", "load", "load-data", "load-files", "include", "hide", "texComment", "docinfo",
+  "mathmacros", "textmacros", "csvtable", "chart", "svg", "quiver", "image", "tikz", "setup",
+  "iframe", "settings", "book", "article",
+];
+
+const isBlank = (line) => line.trim() === "";
+
+// ---------------------------------------------------------------------------
+// Blocks
+// ---------------------------------------------------------------------------
+
+// The block containing `line` (1-based): its first and last line and the
+// name in its header, if it has one
+function blockAt(lines, line) {
+  let begin = line;
+  while (begin > 1 && !isBlank(lines[begin - 2])) begin--;
+  let end = line;
+  while (end < lines.length && !isBlank(lines[end])) end++;
+  const header = /^\|\|?\s+(\S+)/.exec(lines[begin - 1] || "");
+  return { begin, end, name: header ? header[1] : null };
+}
+
+function isVerbatimBlock(lines, block) {
+  const first = (lines[block.begin - 1] || "").trim();
+  return (
+    first.startsWith("||") ||
+    first.startsWith("```") ||
+    first.startsWith("$$") ||
+    (block.name !== null && VERBATIM_NAMES.includes(block.name))
+  );
+}
+
+// Every block named `name`, in order
+function blocksNamed(lines, name) {
+  const blocks = [];
+  for (let i = 1; i <= lines.length; i++) {
+    // blockAt on a blank line would reach into the blocks around it
+    if (isBlank(lines[i - 1])) continue;
+    const block = blockAt(lines, i);
+    if (block.begin !== i) continue;
+    if (block.name === name) blocks.push(block);
+    i = block.end;
+  }
+  return blocks;
+}
+
+// ---------------------------------------------------------------------------
+// Text outside math and code
+// ---------------------------------------------------------------------------
+
+// `line` with math and code spans — $...$, `...`, [m ...], [math ...],
+// [code ...] — blanked out, so that offsets still match
+function maskProtected(line) {
+  return line.replace(/\$[^$]*\$|`[^`]*`|\[(?:m|math|code|chem) [^\]]*\]/g, (span) => " ".repeat(span.length));
+}
+
+// Rewrite the text of the non-header lines of the block containing
+// `scriptaLine`, and the title of a section heading, skipping math and code.
+// `rewrite(masked, line)` returns the new line. Returns one edit per changed
+// line; none in a verbatim block.
+function rewriteBlockText(scriptaLines, scriptaLine, rewrite) {
+  if (!scriptaLine || scriptaLine > scriptaLines.length) return [];
+  const block = blockAt(scriptaLines, scriptaLine);
+  if (isVerbatimBlock(scriptaLines, block)) return [];
+
+  const edits = [];
+  for (let n = block.begin; n <= block.end; n++) {
+    const line = scriptaLines[n - 1];
+    if (n === block.begin && block.name !== null) continue;
+    // A section heading (# to ###) is a block of its own: keep the marker,
+    // rewrite the title
+    const marker = n === block.begin ? (/^\s*#{1,3} /.exec(line) || [""])[0] : "";
+    const text = line.slice(marker.length);
+    const changed = marker + rewrite(maskProtected(text), text);
+    if (changed !== line) edits.push({ begin: n, end: n, before: [line], after: [changed] });
+  }
+  return edits;
+}
+
+// Words with a bare ^ or _ wrapped in $...$, or in backticks when they look
+// like identifiers (snake_case). URLs and Scripta markup are left alone.
+function wrapMathWords(scriptaLines, scriptaLine) {
+  const wrapped = [];
+  const edits = rewriteBlockText(scriptaLines, scriptaLine, (masked, line) => {
+    let result = "";
+    let last = 0;
+    for (const m of masked.matchAll(/[^\s\[\]]*[_^][^\s\[\]]*/g)) {
+      const word = line.slice(m.index, m.index + m[0].length);
+      if (/:\/\/|^www\./.test(word) || /[$`]|\\[_^]/.test(word)) continue;
+      // Keep surrounding punctuation outside the wrapper
+      const [, lead, core, trail] = /^([("']*)(.*?)([.,;:!?)"']*)$/.exec(word);
+      if (!/[_^]/.test(core)) continue;
+      const identifier = !core.includes("^") && /[A-Za-z0-9]{2,}_[A-Za-z0-9]{2,}/.test(core);
+      result += line.slice(last, m.index) + lead + (identifier ? "`" + core + "`" : "$" + core + "$") + trail;
+      last = m.index + m[0].length;
+      wrapped.push(core);
+    }
+    return result + line.slice(last);
+  });
+  return edits.length === 0
+    ? null
+    : { description: "Put " + wrapped.join(", ") + " in math ($...$) or code (backticks)", edits };
+}
+
+// A backslash before each bare &, # and %
+function escapeSpecials(scriptaLines, scriptaLine) {
+  const escaped = new Set();
+  const edits = rewriteBlockText(scriptaLines, scriptaLine, (masked, line) => {
+    let result = "";
+    for (let i = 0; i < line.length; i++) {
+      if (/[&#%]/.test(masked[i]) && line[i - 1] !== "\\") {
+        result += "\\";
+        escaped.add(line[i]);
+      }
+      result += line[i];
+    }
+    return result;
+  });
+  return edits.length === 0 ? null : { description: "Escape " + [...escaped].join(" ") + " with a backslash", edits };
+}
+
+// ---------------------------------------------------------------------------
+// Macro definitions
+// ---------------------------------------------------------------------------
+
+const definitionPattern = (command) =>
+  new RegExp("^\\s*\\\\(?:re)?newcommand\\s*\\{?\\\\" + command.replace(/^\\/, "") + "\\}?[\\[{]");
+
+// Move the definitions of `commands` that sit outside a mathmacros block
+// (e.g. in a $$ block, where they are local to the equation in LaTeX) to the
+// end of the first mathmacros block, or to a new one before the first of
+// their blocks
+function moveDefinitionsToMathMacros(scriptaLines, commands) {
+  const macroBlocks = blocksNamed(scriptaLines, "mathmacros");
+  const inMacroBlock = (n) => macroBlocks.some((b) => b.begin <= n && n <= b.end);
+
+  const found = [];
+  for (const command of commands) {
+    const re = definitionPattern(command);
+    const n = scriptaLines.findIndex((line, i) => re.test(line) && !inMacroBlock(i + 1)) + 1;
+    if (n > 0 && !found.some((f) => f.line === n)) found.push({ command, line: n });
+  }
+  if (found.length === 0) return null;
+
+  const definitions = found.map((f) => scriptaLines[f.line - 1].trim());
+  const removals = found.map((f) => ({ begin: f.line, end: f.line, before: [scriptaLines[f.line - 1]], after: [] }));
+  let insertion;
+  if (macroBlocks.length > 0) {
+    const at = macroBlocks[0].end + 1;
+    insertion = { begin: at, end: at - 1, before: [], after: definitions };
+  } else {
+    const at = blockAt(scriptaLines, Math.min(...found.map((f) => f.line))).begin;
+    insertion = { begin: at, end: at - 1, before: [], after: ["| mathmacros", ...definitions, ""] };
+  }
+  return {
+    description: "Move the definition of " + found.map((f) => f.command).join(", ") + " into | mathmacros",
+    edits: [insertion, ...removals],
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Applying edits
+// ---------------------------------------------------------------------------
+
+const sameLines = (a, b) => a.length === b.length && a.every((line, i) => line === b[i]);
+
+// Edits in order; insertions go before replacements starting on their line
+const byPosition = (a, b) => a.begin - b.begin || (a.end < a.begin ? -1 : 0) - (b.end < b.begin ? -1 : 0);
+
+// Apply `fixes` ({ description, edits } each) to `lines`. A fix is applied
+// whole or not at all: it is skipped when its `before` lines no longer match
+// or it overlaps a fix applied earlier. Returns { lines, applied, skipped },
+// with the reason for each skipped fix.
+function applyFixes(lines, fixes) {
+  const accepted = [];
+  const applied = [];
+  const skipped = [];
+
+  for (const fix of fixes) {
+    const stale = fix.edits.find((e) => !sameLines(lines.slice(e.begin - 1, e.end), e.before));
+    const overlap = fix.edits.some((e) => accepted.some((a) => e.begin <= a.end && a.begin <= e.end));
+    if (stale) {
+      skipped.push({ fix, reason: `line ${stale.begin} has changed` });
+    } else if (overlap) {
+      skipped.push({ fix, reason: "overlaps an earlier fix" });
+    } else {
+      accepted.push(...fix.edits);
+      applied.push(fix);
+    }
+  }
+
+  const result = [...lines];
+  for (const e of [...accepted].sort(byPosition).reverse()) {
+    result.splice(e.begin - 1, e.end - e.begin + 1, ...e.after);
+  }
+  return { lines: result, applied, skipped, edits: accepted.sort(byPosition) };
+}
+
+// The line a line of the original source moved to, or null if it was
+// replaced
+function mapLine(edits, line) {
+  let shift = 0;
+  for (const e of edits) {
+    if (e.end < line) shift += e.after.length - e.before.length;
+    else if (e.begin <= line) return null;
+  }
+  return line + shift;
+}
+
+// ---------------------------------------------------------------------------
+// Unified diff
+// ---------------------------------------------------------------------------
+
+// A unified diff of `edits` (sorted, non-overlapping) applied to `lines`,
+// with `context` lines around each change; `name` is the path in the
+// headers, as `git apply` expects it
+function unifiedDiff(name, lines, edits, context = 3) {
+  if (edits.length === 0) return "";
+
+  // Group edits whose context touches into hunks
+  const hunks = [];
+  for (const e of edits) {
+    const from = Math.max(1, e.begin - context);
+    const to = Math.min(lines.length, Math.max(e.end, e.begin - 1) + context);
+    const hunk = hunks[hunks.length - 1];
+    if (hunk && from <= hunk.to + 1) {
+      hunk.edits.push(e);
+      hunk.to = Math.max(hunk.to, to);
+    } else {
+      hunks.push({ from, to, edits: [e] });
+    }
+  }
+
+  const out = ["--- a/" + name, "+++ b/" + name];
+  let shift = 0;
+  for (const hunk of hunks) {
+    const body = [];
+    let n = hunk.from;
+    let added = 0;
+    let removed = 0;
+    for (const e of hunk.edits) {
+      for (; n < e.begin; n++) body.push(" " + lines[n - 1]);
+      for (const line of e.before) body.push("-" + line);
+      for (const line of e.after) body.push("+" + line);
+      removed += e.before.length;
+      added += e.after.length;
+      n = e.end + 1;
+    }
+    for (; n <= hunk.to; n++) body.push(" " + lines[n - 1]);
+
+    const oldCount = hunk.to - hunk.from + 1;
+    const newCount = oldCount - removed + added;
+    out.push(`@@ -${hunk.from},${oldCount} +${hunk.from + shift},${newCount} @@`);
+    out.push(...body);
+    shift += added - removed;
+  }
+  return out.join("\n") + "\n";
+}
+
+module.exports = {
+  blocksNamed,
+  wrapMathWords,
+  escapeSpecials,
+  moveDefinitionsToMathMacros,
+  applyFixes,
+  mapLine,
+  unifiedDiff,
+};
@@ -0,0 +1,57 @@
+/**
+ * Source maps for exported LaTeX (<basename>-sourcemap.json), as produced by
+ * Render.Export.SourceMap in the worker's toLaTeX reply:
+ *
+ *   { "version": 1, "file": "manual.tex", "lineCount": 812,
+ *     "mappings": [ { "latexBegin": 40, "latexEnd": 44, "blockId": "12-3",
+ *                     "blockName": "theorem", "scriptaBegin": 51, "scriptaEnd": 53 } ] }
+ *
+ * Line numbers refer to <basename>.tex as exported. The compiled LaTeX
+ * (<basename>-2.tex) may have been rewritten by the PDF server; when its
+ * length differs, lines are matched through the "%%% Line N" annotations
+ * instead.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const texlog = require("./texlog");
+
+function sourceMapPath(dir, basename) {
+  return path.join(dir, basename + "-sourcemap.json");
+}
+
+function writeSourceMap(dir, basename, sourceMap) {
+  const mapPath = sourceMapPath(dir, basename);
+  fs.writeFileSync(mapPath, JSON.stringify({ ...sourceMap, file: basename + ".tex" }, null, 2));
+  return mapPath;
+}
+
+// The map for <basename>, or null if there is none
+function loadSourceMap(dir, basename) {
+  const mapPath = sourceMapPath(dir, basename);
+  if (!fs.existsSync(mapPath)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(mapPath, "utf-8"));
+  } catch (_) {
+    return null;
+  }
+}
+
+// The mapping covering a line of the exported LaTeX, or null
+function mappingForLine(sourceMap, latexLine) {
+  return sourceMap.mappings.find((m) => m.latexBegin <= latexLine && latexLine <= m.latexEnd) || null;
+}
+
+// The mapping for a line of the compiled LaTeX (texLines). Uses the line
+// number directly when the compiled file still has the exported length,
+// otherwise the nearest preceding "%%% Line N" annotation.
+function mappingForCompiledLine(sourceMap, texLines, latexLine) {
+  if (!sourceMap || !latexLine) return null;
+  if (texLines.length === 0 || texLines.length === sourceMap.lineCount) {
+    return mappingForLine(sourceMap, latexLine);
+  }
+  const scriptaLine = texlog.scriptaLineFor(texLines, latexLine);
+  return sourceMap.mappings.find((m) => m.scriptaBegin === scriptaLine) || null;
+}
+
+module.exports = { writeSourceMap, loadSourceMap, mappingForLine, mappingForCompiledLine };
@@ -0,0 +1,23 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { makeBaseline, compareToBaseline } = require("../baseline");
+
+const error = (latexText, scriptaLine, id) => ({
+  category: "escaping",
+  latexText,
+  scriptaLine,
+  sourceBlock: { id, name: "theorem", scriptaBegin: scriptaLine, scriptaEnd: scriptaLine },
+});
+
+test("errors whose lines moved are still present, not new and fixed", () => {
+  const baseline = makeBaseline({ manual: { errors: [error("a & b", 12, "12-0"), error("50%", 40, "40-3")] } });
+  // A fix above them inserted two lines
+  const result = compareToBaseline(baseline, { manual: { errors: [error("a & b", 14, "14-0"), error("50%", 42, "42-3")] } });
+  assert.deepStrictEqual(result.totals, { newErrors: 0, fixed: 0, stillPresent: 2 });
+});
+
+test("a second copy of a known error is new", () => {
+  const baseline = makeBaseline({ manual: { errors: [error("a & b", 12, "12-0")] } });
+  const result = compareToBaseline(baseline, { manual: { errors: [error("a & b", 12, "12-0"), error("a & b", 30, "30-0")] } });
+  assert.deepStrictEqual(result.totals, { newErrors: 1, fixed: 0, stillPresent: 1 });
+});
@@ -0,0 +1,40 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const { startServer } = require("../mock-server");
+const { httpBackend } = require("../backend");
+
+const FIXTURES = path.join(__dirname, "..", "mock-fixtures");
+const fixture = (basename) => JSON.parse(fs.readFileSync(path.join(FIXTURES, basename + ".json"), "utf-8"));
+
+// Compile `basename` with the http backend against the scripted mock server,
+// recording the requests the server saw
+async function compileWithMock(basename) {
+  const server = await startServer({ port: 0, fixtures: FIXTURES });
+  const requests = [];
+  server.on("request", (req) => requests.push(req.method + " " + req.url));
+  try {
+    const backend = httpBackend({ server: "http://localhost:" + server.address().port });
+    const result = await backend.compile({ basename, content: "\\documentclass{article}" });
+    return { result, requests };
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+}
+
+test("without errorJson the http backend fetches the errors from GET /pdf/<basename>-errors.json", async () => {
+  assert.strictEqual(fixture("virial").response.errorJson, undefined);
+  const { result, requests } = await compileWithMock("virial");
+  assert.deepStrictEqual(requests, ["POST /tex", "GET /pdf/virial-errors.json"]);
+  assert.strictEqual(result.hasErrors, true);
+  assert.deepStrictEqual(result.errorData, fixture("virial").errors);
+});
+
+test("a 404 from the errors fetch leaves errorData null and keeps the error report", async () => {
+  const { result, requests } = await compileWithMock("graph-color");
+  assert.deepStrictEqual(requests, ["POST /tex", "GET /pdf/graph-color-errors.json"]);
+  assert.strictEqual(result.hasErrors, true);
+  assert.strictEqual(result.errorData, null);
+  assert.strictEqual(result.errorReport, fixture("graph-color").response.errorReport);
+});
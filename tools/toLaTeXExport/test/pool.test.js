@@ -0,0 +1,26 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const path = require("path");
+const { createCompiler } = require("../compiler");
+const { createPool } = require("../pool");
+
+const STUB_WORKER = path.join(__dirname, "stub-worker.js");
+
+// The worker commands an API exposes as methods
+const commands = (api) =>
+  Object.keys(api)
+    .filter((key) => typeof api[key] === "function" && !["request", "pending", "close"].includes(key))
+    .sort();
+
+test("the pool exposes the same commands as compiler.js", async () => {
+  const compiler = createCompiler({ workerPath: STUB_WORKER });
+  const pool = createPool({ size: 2, workerPath: STUB_WORKER });
+  try {
+    assert.deepStrictEqual(commands(pool), commands(compiler));
+    for (const command of commands(pool)) {
+      assert.strictEqual(await pool[command]("text"), command);
+    }
+  } finally {
+    await pool.close();
+  }
+});
@@ -0,0 +1,22 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { splitBlocks } = require("../reduce");
+
+const DOC = ["| title", "My doc", "", "| code", "a = 1", "", "b = 2", "", "Some text", ""].join("\n");
+
+test("splitBlocks keeps a verbatim block with a blank line in it whole", () => {
+  const summaries = [
+    { lineNumber: 0, numberOfLines: 2 },
+    { lineNumber: 3, numberOfLines: 4 },
+    { lineNumber: 8, numberOfLines: 1 },
+  ];
+  assert.deepStrictEqual(splitBlocks(DOC, summaries), ["| title\nMy doc", "| code\na = 1\n\nb = 2", "Some text"]);
+});
+
+test("splitBlocks orders blocks by line, as flattened nested blocks may not be", () => {
+  const summaries = [
+    { lineNumber: 8, numberOfLines: 1 },
+    { lineNumber: 0, numberOfLines: 2 },
+  ];
+  assert.deepStrictEqual(splitBlocks(DOC, summaries), ["| title\nMy doc", "Some text"]);
+});
@@ -0,0 +1,30 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { renderReport } = require("../report");
+
+const doc = (errors) => ({
+  basename: "manual",
+  report: { file: "manual", totalErrors: errors.length, errors },
+  scriptaLines: ["| theorem", "a & b"],
+  latexLines: ["\\begin{theorem}", "a & b", "\\end{theorem}"],
+});
+
+const error = (fixLocations) => ({
+  category: "escaping",
+  scriptaLine: 2,
+  latexLine: 2,
+  explanation: "Bare special character",
+  ...(fixLocations ? { fixLocations } : {}),
+});
+
+const render = (errors) => renderReport([doc(errors)], { context: 8, sourceUrl: null, outputDir: __dirname });
+
+test("the fix line names every file, whichever error has the locations", () => {
+  const html = render([
+    error(null),
+    error([{ file: "src/Render/Export/LaTeX.elm", function: "exportExpr", line: 10 }]),
+    error([{ file: "src/Render/Export/Util.elm", function: "escape", line: 3 }]),
+  ]);
+  const fix = /<p class="fix">(.*)<\/p>/.exec(html)[1];
+  assert.match(fix, /^Fix in src\/Render\/Export\/LaTeX\.elm: .*exportExpr.*; src\/Render\/Export\/Util\.elm: .*escape/);
+});
@@ -0,0 +1,34 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadRules, matchRules } = require("../rules");
+
+const rules = loadRules();
+
+const categories = (error) =>
+  matchRules(rules, { scriptaText: "", userMacros: new Map(), knownCommands: new Set(), logError: {}, ...error }).map(
+    (m) => m.category
+  );
+
+test("an undefined control sequence in the log outranks the text heuristics", () => {
+  const logError = { kind: "undefined-control-sequence", offendingText: "\\foo" };
+  assert.deepStrictEqual(categories({ latexText: "the value \\foo x_1 is", logError }), ["undefined-command"]);
+  assert.deepStrictEqual(categories({ latexText: "\\foo a & b 50%", logError }), ["undefined-command"]);
+});
+
+test("without a log kind the heuristics rank by priority", () => {
+  assert.deepStrictEqual(categories({ latexText: "the value \\foo x_1 is" }), ["math-mode", "undefined-command"]);
+  assert.deepStrictEqual(categories({ latexText: "a & b", logError: { kind: "other" } }), ["escaping"]);
+});
+
+test("a log kind confirms its own rule", () => {
+  const [top] = matchRules(rules, {
+    latexText: "x_1",
+    scriptaText: "",
+    userMacros: new Map(),
+    knownCommands: new Set(),
+    logError: { kind: "missing-dollar" },
+  });
+  assert.strictEqual(top.category, "math-mode");
+  assert.strictEqual(top.confidence, 0.9);
+  assert.deepStrictEqual(categories({ latexText: "a & b", logError: { kind: "misplaced-alignment" } }), ["escaping"]);
+});
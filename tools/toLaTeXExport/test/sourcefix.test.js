@@ -0,0 +1,43 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { blocksNamed, escapeSpecials, moveDefinitionsToMathMacros } = require("../sourcefix");
+
+const DOC = ["| title", "My doc", "", "| mathmacros", "foo: x", "", "$$", "\\newcommand{\\bar}{y}", "$$"];
+
+test("blocksNamed finds a block that follows another one", () => {
+  assert.deepStrictEqual(blocksNamed(DOC, "mathmacros"), [{ begin: 4, end: 5, name: "mathmacros" }]);
+});
+
+test("blocksNamed skips runs of blank lines between blocks", () => {
+  const lines = ["| title", "My doc", "", "", "| mathmacros", "foo: x", "", "", "| mathmacros", "bar: y"];
+  assert.deepStrictEqual(
+    blocksNamed(lines, "mathmacros").map((b) => [b.begin, b.end]),
+    [[5, 6], [9, 10]]
+  );
+});
+
+test("blocksNamed finds a block on the first line", () => {
+  assert.deepStrictEqual(blocksNamed(DOC, "title"), [{ begin: 1, end: 2, name: "title" }]);
+  assert.deepStrictEqual(blocksNamed(DOC, "equation"), []);
+});
+
+test("moveDefinitionsToMathMacros adds to an existing mathmacros block", () => {
+  const fix = moveDefinitionsToMathMacros(DOC, ["\\bar"]);
+  assert.deepStrictEqual(fix.edits, [
+    { begin: 6, end: 5, before: [], after: ["\\newcommand{\\bar}{y}"] },
+    { begin: 8, end: 8, before: ["\\newcommand{\\bar}{y}"], after: [] },
+  ]);
+});
+
+test("escapeSpecials leaves the marker of a section heading alone", () => {
+  for (const marker of ["#", "##", "###"]) {
+    const fix = escapeSpecials([`${marker} Q&A about C#`], 1);
+    assert.deepStrictEqual(fix.edits[0].after, [`${marker} Q\\&A about C\\#`]);
+  }
+  assert.strictEqual(escapeSpecials(["# Questions", "", "Some text"], 1), null);
+});
+
+test("escapeSpecials escapes a # inside a paragraph", () => {
+  const fix = escapeSpecials(["Issue #3 & more"], 1);
+  assert.deepStrictEqual(fix.edits[0].after, ["Issue \\#3 \\& more"]);
+});
@@ -0,0 +1,20 @@
+// Stands in for worker.js: an Elm program whose receiveRequest/sendResponse
+// ports answer every request with its command name
+exports.Elm = {
+  Worker: {
+    init() {
+      const subscribers = [];
+      return {
+        ports: {
+          receiveRequest: {
+            send: (request) => subscribers.forEach((f) => f({ id: request.id, ok: true, result: request.command })),
+          },
+          sendResponse: {
+            subscribe: (f) => subscribers.push(f),
+            unsubscribe: (f) => subscribers.splice(subscribers.indexOf(f), 1),
+          },
+        },
+      };
+    },
+  },
+};
@@ -0,0 +1,197 @@
+/**
+ * Parser for TeX engine log files (pdflatex, xelatex, lualatex, tectonic).
+ *
+ * Turns the "! message ... l.N text" blocks of a .log file into the same
+ * error entries the PDF server returns in <basename>-errors.json:
+ *
+ *   { "latex-begin", "latex-end", "latex-line", "latex-text", "scripta-line" }
+ *
+ * plus `message`, `kind` (see ERROR_KINDS) and `offending-text`. Overfull
+ * boxes are collected separately as warnings (parseWarnings).
+ */
+
+// ---------------------------------------------------------------------------
+// Source line annotations
+// ---------------------------------------------------------------------------
+
+// Render.Export.LaTeX.annotateWithLineNumber prefixes each exported block
+// with "%%% Line N", where N is the block's line in the Scripta source.
+const LINE_ANNOTATION = /^%%% Line (\d+)\s*$/;
+
+// Map a 1-based LaTeX line to the Scripta line of the nearest preceding
+// annotation, or 0 if the line precedes every annotated block.
+function scriptaLineFor(texLines, latexLine) {
+  for (let i = Math.min(latexLine, texLines.length) - 1; i >= 0; i--) {
+    const m = LINE_ANNOTATION.exec(texLines[i]);
+    if (m) return parseInt(m[1], 10);
+  }
+  return 0;
+}
+
+// ---------------------------------------------------------------------------
+// Log parsing
+// ---------------------------------------------------------------------------
+
+// Error kinds, by the first line of the message. Runaway arguments are
+// recognised by the "Runaway argument?" line that precedes the message.
+const ERROR_KINDS = [
+  { kind: "undefined-control-sequence", test: (m) => m.startsWith("Undefined control sequence") },
+  { kind: "missing-dollar", test: (m) => m.startsWith("Missing $ inserted") },
+  { kind: "missing-brace", test: (m) => /^Missing [{}] inserted/.test(m) || m.startsWith("Extra }") },
+  { kind: "undefined-environment", test: (m) => /^LaTeX Error: Environment .* undefined/.test(m) },
+  { kind: "missing-file", test: (m) => /^LaTeX Error: File `.*' not found/.test(m) },
+  { kind: "misplaced-alignment", test: (m) => m.startsWith("Misplaced alignment tab character") },
+];
+
+function errorKind(message, runaway) {
+  if (runaway) return "runaway-argument";
+  const match = ERROR_KINDS.find((k) => k.test(message));
+  return match ? match.kind : "other";
+}
+
+const CONTROL_SEQUENCE = /\\[A-Za-z@]+|\\./g;
+
+// Find each "! message" block and the "l.N text" line that locates it.
+// `context` is the source text up to the point of the error; for an
+// undefined control sequence, `offendingText` is the sequence itself, read
+// from the first context line (which shows the expansion that failed).
+function parseErrors(logText) {
+  const lines = logText.split(/\r?\n/);
+  const errors = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    if (!lines[i].startsWith("! ")) continue;
+
+    const message = lines[i].slice(2).trim();
+    // "Runaway argument?" is followed by the start of the unfinished argument
+    const runaway = i >= 2 && lines[i - 2].startsWith("Runaway argument?");
+    const runawayText = runaway ? lines[i - 1].trim() : null;
+    const kind = errorKind(message, runaway);
+    let latexLine = null;
+    let context = "";
+    let firstContext = null;
+
+    // The location line follows within a few lines of the message
+    for (let j = i + 1; j < Math.min(lines.length, i + 12); j++) {
+      if (lines[j].startsWith("! ")) break;
+      if (firstContext === null && lines[j].trim() !== "") firstContext = lines[j];
+      const m = /^l\.(\d+) ?(.*)$/.exec(lines[j]);
+      if (m) {
+        latexLine = parseInt(m[1], 10);
+        context = m[2];
+        i = j;
+        break;
+      }
+    }
+
+    let offendingText = context.trim();
+    if (kind === "undefined-control-sequence" && firstContext !== null) {
+      const text = firstContext.replace(/^l\.\d+ ?/, "");
+      const sequences = text.match(CONTROL_SEQUENCE);
+      if (sequences) offendingText = sequences[sequences.length - 1];
+    } else if (runaway) {
+      offendingText = runawayText;
+    }
+
+    errors.push({ message, kind, latexLine, context, offendingText });
+  }
+
+  return errors;
+}
+
+// Convert parsed log errors into PDF-server style entries, reading the
+// offending text from the compiled .tex source.
+function toErrorEntries(logErrors, texText) {
+  const texLines = texText.split("\n");
+
+  return logErrors
+    .filter((e) => e.latexLine !== null)
+    .map((e) => {
+      const end = e.latexLine;
+      const previous = texLines[end - 2];
+      const begin =
+        end > 1 && previous && previous.trim() !== "" && !LINE_ANNOTATION.test(previous)
+          ? end - 1
+          : end;
+      return {
+        "latex-begin": begin,
+        "latex-end": end,
+        "latex-line": end,
+        // Without the .tex source, fall back to the log's own excerpt
+        "latex-text": texText && end <= texLines.length ? texLines.slice(begin - 1, end).join("\n") : e.context || "",
+        "scripta-line": scriptaLineFor(texLines, end),
+        message: e.message,
+        kind: e.kind || "other",
+        "offending-text": e.offendingText || "",
+      };
+    });
+}
+
+// ---------------------------------------------------------------------------
+// Warnings
+// ---------------------------------------------------------------------------
+
+const OVERFULL_BOX =
+  /^Overfull \\([hv])box \(([^)]*)\) (?:in paragraph at lines (\d+)--(\d+)|in alignment at lines (\d+)--(\d+)|detected at line (\d+))/;
+
+// Overfull \hbox and \vbox reports, with the LaTeX lines they cover. Boxes
+// reported while \output is active have no source lines and are skipped.
+function parseWarnings(logText) {
+  const warnings = [];
+  for (const line of logText.split(/\r?\n/)) {
+    const m = OVERFULL_BOX.exec(line);
+    if (!m) continue;
+    const begin = parseInt(m[3] || m[5] || m[7], 10);
+    const end = parseInt(m[4] || m[6] || m[7], 10);
+    warnings.push({
+      kind: "overfull-" + m[1] + "box",
+      message: line.trim(),
+      amount: m[2],
+      latexBegin: begin,
+      latexEnd: end,
+    });
+  }
+  return warnings;
+}
+
+// Convert parsed warnings into entries shaped like the error entries
+function toWarningEntries(warnings, texText) {
+  const texLines = texText.split("\n");
+  return warnings.map((w) => ({
+    "latex-begin": w.latexBegin,
+    "latex-end": w.latexEnd,
+    "latex-line": w.latexBegin,
+    "latex-text": texLines.slice(w.latexBegin - 1, w.latexEnd).join("\n"),
+    "scripta-line": scriptaLineFor(texLines, w.latexBegin),
+    message: w.message,
+    kind: w.kind,
+  }));
+}
+
+// ---------------------------------------------------------------------------
+// Engine
+// ---------------------------------------------------------------------------
+
+// The engine that wrote a log, from its first line ("This is XeTeX, Version
+// ..."), or null if the log does not say
+const ENGINE_BANNERS = [
+  { engine: "pdflatex", banner: /^This is pdfTeX\b/ },
+  { engine: "xelatex", banner: /^This is XeTeX\b/ },
+  { engine: "lualatex", banner: /^This is Lua(?:HB)?TeX\b/ },
+];
+
+function engineOf(logText) {
+  const first = logText.split(/\r?\n/, 1)[0];
+  const match = ENGINE_BANNERS.find((e) => e.banner.test(first));
+  return match ? match.engine : null;
+}
+
+module.exports = {
+  ERROR_KINDS,
+  engineOf,
+  parseErrors,
+  parseWarnings,
+  toErrorEntries,
+  toWarningEntries,
+  scriptaLineFor,
+};